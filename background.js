@@ -0,0 +1,300 @@
+/**
+ * Send & Archive — background.js
+ *
+ * Service worker with three jobs:
+ *
+ *  - The optional Gmail API backend.  Content scripts can't use
+ *    chrome.identity, so they ask this worker to modify a thread by id; it
+ *    obtains an OAuth token for the Chrome profile's Google account and
+ *    calls the Gmail API through the client in gmail-api.js.
+ *  - Relaying post-send actions out of composes popped out into their own
+ *    window.  That window closes as soon as the message is sent, so its
+ *    content script hands the action over before sending, and this worker
+ *    passes it on to the Gmail tab the compose came from when the window
+ *    closes.  That tab only acts once its own "Message sent" notice
+ *    confirms the send, so a window closed unsent acts on nothing.  A send
+ *    the window sees blocked or failing withdraws the hand-over.
+ *  - Keyboard commands (chrome.commands, bound at
+ *    chrome://extensions/shortcuts), which only an extension's worker
+ *    receives.  Each is passed on to the Gmail tab in front, whose content
+ *    script sends its most recently focused compose.
+ *
+ * Messages (chrome.runtime.sendMessage), each answered with `{ok: true, …}`
+ * or `{ok: false, error}`:
+ *
+ *   {type: "sab:authorize"}                        interactive sign-in; → {email}
+ *   {type: "sab:modifyThread", threadId, account,
+ *    addLabelIds, removeLabelIds, untrash}         `untrash` takes the thread
+ *                                                  out of the Trash first; → {}
+ *   {type: "sab:relayAction", thread, request,
+ *    historyId}                                    from a popped-out compose,
+ *                                                  before it sends; → {}
+ *   {type: "sab:cancelRelay"}                      the send didn't happen; → {}
+ *   {type: "sab:getCommands"}                      → {commands: [{name, shortcut}]}
+ *
+ * and sent to the originating tab (chrome.tabs.sendMessage):
+ *
+ *   {type: "sab:runRelayedAction", thread, request, historyId}
+ *   {type: "sab:runCommand", command}
+ *
+ * For testing against a local mock Gmail API, swap the client from the
+ * service worker console:
+ *
+ *   SAB.background.setGmailClient(SAB.gmailApi.createClient({
+ *       baseUrl: "http://localhost:8080/gmail/v1",
+ *       getToken: async () => "test-token",
+ *   }));
+ */
+
+importScripts("gmail-api.js");
+
+(function () {
+    "use strict";
+
+    const LOG = (...args) => console.log("[SAB]", ...args);
+
+    // ─── OAuth ────────────────────────────────────────────────────────────────
+
+    /**
+     * Access token for the Chrome profile's account (scopes come from the
+     * manifest's `oauth2` block).  Non-interactive calls fail rather than
+     * prompt when the user hasn't granted access yet.
+     */
+    async function getAuthToken(interactive) {
+        const result = await chrome.identity.getAuthToken({ interactive });
+        // Older Chrome versions resolve with the bare token string.
+        return typeof result === "string" ? result : result && result.token;
+    }
+
+    async function invalidateToken(token) {
+        profileEmail = null;
+        await chrome.identity.removeCachedAuthToken({ token });
+    }
+
+    // ─── Client ───────────────────────────────────────────────────────────────
+
+    let client = SAB.gmailApi.createClient({
+        getToken: getAuthToken,
+        invalidateToken,
+    });
+
+    /** Mailbox address of the token's account, fetched once per token. */
+    let profileEmail = null;
+
+    /** Replaces the API client, e.g. with one pointing at a mock server. */
+    function setGmailClient(next) {
+        client = next;
+        profileEmail = null;
+    }
+
+    async function getProfileEmail(interactive = false) {
+        if (!profileEmail) {
+            profileEmail = (await client.getProfile(interactive)).emailAddress;
+        }
+        return profileEmail;
+    }
+
+    /**
+     * Refuses to touch a mailbox other than the one open in the Gmail tab:
+     * the Chrome profile may be signed in to a different Google account
+     * than Gmail (e.g. a second account under /mail/u/1/).  A tab that
+     * couldn't tell which account it shows is refused too, so the content
+     * script falls back to clicking Gmail's buttons.
+     */
+    async function checkAccount(account) {
+        if (!account) {
+            throw new SAB.gmailApi.GmailApiError(
+                "The Gmail tab's account is unknown",
+                403,
+            );
+        }
+        const email = await getProfileEmail();
+        if (email.toLowerCase() !== account.toLowerCase()) {
+            throw new SAB.gmailApi.GmailApiError(
+                `Signed in to the API as ${email}, not ${account}`,
+                403,
+            );
+        }
+    }
+
+    // ─── Popped-out Compose Relay ─────────────────────────────────────────────
+
+    /**
+     * Pending relays live in session storage, keyed by the popped-out
+     * compose's tab id, because the worker may be shut down while a
+     * message is being written.  A relay leaves storage when its window
+     * closes, to be dispatched, or on sab:cancelRelay.
+     */
+    const relayKey = (tabId) => `relay:${tabId}`;
+
+    /** "/mail/u/1/" for a Gmail URL — which signed-in account it shows. */
+    function accountPath(url) {
+        const match = new URL(url).pathname.match(/^\/mail\/(u\/\d+\/)?/);
+        return match ? match[0] : "";
+    }
+
+    /**
+     * The Gmail tab a popped-out compose belongs to: the tab that opened its
+     * window if Chrome recorded one, otherwise the most recently used Gmail
+     * tab of the same account.  Null if there is none.
+     */
+    async function findOriginTab(composeTab) {
+        const tabs = (
+            await chrome.tabs.query({ url: "https://mail.google.com/*" })
+        ).filter(
+            (tab) =>
+                tab.id !== composeTab.id &&
+                new URL(tab.url).searchParams.get("view") !== "cm",
+        );
+
+        const opener = tabs.find((tab) => tab.id === composeTab.openerTabId);
+        if (opener) return opener;
+
+        const account = accountPath(composeTab.url);
+        return (
+            tabs
+                .filter((tab) => accountPath(tab.url) === account)
+                .sort(
+                    (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0),
+                )[0] || null
+        );
+    }
+
+    /** Hands a pending relay to its originating tab and forgets it. */
+    async function dispatchRelay(composeTabId) {
+        const key = relayKey(composeTabId);
+        const relay = (await chrome.storage.session.get(key))[key];
+        if (!relay) return;
+        await chrome.storage.session.remove(key);
+
+        LOG(`relaying ${relay.request.id} to tab ${relay.originTabId}`);
+        try {
+            await chrome.tabs.sendMessage(relay.originTabId, {
+                type: "sab:runRelayedAction",
+                thread: relay.thread,
+                request: relay.request,
+                historyId: relay.historyId,
+            });
+        } catch (err) {
+            LOG(`relay to tab ${relay.originTabId} failed:`, err.message);
+        }
+    }
+
+    // The window closes once the message is sent — or unsent, which the
+    // originating tab finds out by waiting for its own "Message sent".
+    chrome.tabs.onRemoved.addListener((tabId) => {
+        dispatchRelay(tabId);
+    });
+
+    /** True while tab `tabId` is open. */
+    async function tabExists(tabId) {
+        try {
+            await chrome.tabs.get(tabId);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // ─── Commands ─────────────────────────────────────────────────────────────
+
+    const isGmailUrl = (url) =>
+        !!url && url.startsWith("https://mail.google.com/");
+
+    // Only the tab in front gets the command: sending from a compose the
+    // user can't see would be a surprise.
+    chrome.commands.onCommand.addListener(async (command, tab) => {
+        if (!tab) {
+            [tab] = await chrome.tabs.query({
+                active: true,
+                lastFocusedWindow: true,
+            });
+        }
+        if (!tab || !isGmailUrl(tab.url)) {
+            LOG(`command ${command}: the active tab isn't Gmail, ignoring`);
+            return;
+        }
+        LOG(`command ${command}: relaying to tab ${tab.id}`);
+        try {
+            await chrome.tabs.sendMessage(tab.id, {
+                type: "sab:runCommand",
+                command,
+            });
+        } catch (err) {
+            LOG(`command ${command} failed:`, err.message);
+        }
+    });
+
+    // ─── Messages ─────────────────────────────────────────────────────────────
+
+    const HANDLERS = {
+        "sab:authorize": async () => {
+            profileEmail = null;
+            return { email: await getProfileEmail(true) };
+        },
+
+        "sab:modifyThread": async (message) => {
+            await checkAccount(message.account);
+            if (message.untrash) await client.untrashThread(message.threadId);
+            await client.modifyThread(message.threadId, {
+                addLabelIds: message.addLabelIds,
+                removeLabelIds: message.removeLabelIds,
+            });
+            LOG(`modified thread ${message.threadId}`, message);
+            return {};
+        },
+
+        "sab:relayAction": async (message, sender) => {
+            const origin = await findOriginTab(sender.tab);
+            if (!origin)
+                throw new Error("No Gmail tab to finish the action in");
+            const key = relayKey(sender.tab.id);
+            await chrome.storage.session.set({
+                [key]: {
+                    originTabId: origin.id,
+                    thread: message.thread,
+                    request: message.request,
+                    historyId: message.historyId,
+                },
+            });
+            // The window may have closed while this was being stored, after
+            // onRemoved already looked.
+            if (!(await tabExists(sender.tab.id))) {
+                await dispatchRelay(sender.tab.id);
+            }
+            return {};
+        },
+
+        "sab:cancelRelay": async (message, sender) => {
+            await chrome.storage.session.remove(relayKey(sender.tab.id));
+            return {};
+        },
+
+        // Content scripts can't read their own extension's key bindings.
+        "sab:getCommands": async () => {
+            const commands = await chrome.commands.getAll();
+            return {
+                commands: commands.map(({ name, shortcut }) => ({
+                    name,
+                    shortcut,
+                })),
+            };
+        },
+    };
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        const handler = HANDLERS[message && message.type];
+        if (!handler) return false;
+
+        handler(message, sender).then(
+            (result) => sendResponse({ ok: true, ...result }),
+            (err) => {
+                LOG(`${message.type} failed:`, err.message);
+                sendResponse({ ok: false, error: err.message });
+            },
+        );
+        return true; // keep the channel open for the async response
+    });
+
+    SAB.background = { setGmailClient };
+})();
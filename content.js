@@ -4,11 +4,17 @@
  * Adds a "Send & Archive" button to Gmail's popup compose windows,
  * mirroring the same button available in the inline compose window.
  *
+ * Gmail's selectors live in selectors.js (SAB.selectors); this file refers
+ * to them by registry name.
+ *
  * How it works:
- *  1. A MutationObserver watches for new popup compose windows appearing in .dw
+ *  1. A single MutationObserver, scoped to .dw and Gmail's notification bar,
+ *     watches for new popup compose windows; a registry tracks each one
+ *     through its lifecycle (see COMPOSE_STATE)
  *  2. When found, a "Send & Archive" button is injected next to the Send button
  *  3. On click: the regular Send button is triggered, then — once the compose
- *     window leaves the DOM — the current conversation is archived
+ *     window leaves the DOM and Gmail confirms "Message sent" — the
+ *     conversation that was replied to is archived
  */
 
 (function () {
@@ -22,8 +28,133 @@
     /** Attribute set on the button we inject so we never mistake it for Gmail's send button. */
     const BTN_ATTR = "data-sab-btn";
 
+    /** Attribute set on the split-button arrow that opens the post-send action menu. */
+    const MENU_BTN_ATTR = "data-sab-menu-btn";
+
+    /** Attribute set on our button while a rule hides or disables it ("hide"/"disable"). */
+    const RULE_ATTR = "data-sab-rule";
+
+    /**
+     * True in a compose popped out into its own browser window (Shift-click
+     * on the pop-out icon): Gmail loads it with `?view=cm` and renders the
+     * compose full-window, without the `.dw` container.  Such a window
+     * closes as soon as the message is sent, so the post-send action is
+     * handed to the originating Gmail tab via background.js.
+     */
+    const IS_STANDALONE_COMPOSE =
+        new URLSearchParams(location.search).get("view") === "cm";
+
+    const SEVERITY = SAB.notifications.SEVERITY;
+
     const LOG = (...args) => console.log("[SAB]", ...args);
-    LOG("content script loaded");
+    LOG(
+        `content script loaded${IS_STANDALONE_COMPOSE ? " (standalone compose)" : ""}`,
+    );
+
+    // ─── Settings ─────────────────────────────────────────────────────────────
+
+    /**
+     * Current settings (see settings.js).  Starts as the defaults so nothing
+     * breaks if storage is slow; replaced once chrome.storage.sync answers and
+     * again every time the options page or popup changes a value.
+     */
+    let settings = SAB.settings.normalize();
+
+    /**
+     * E-mail address of the Gmail account in this tab, whose own settings
+     * and history apply (see settings.js, Accounts).  Null when Gmail never
+     * shows it; the shared settings apply then.
+     */
+    let account = null;
+
+    /** How long to wait for Gmail to show which account the tab is on. */
+    const ACCOUNT_RETRIES = 20;
+    const ACCOUNT_RETRY_MS = 250;
+
+    /**
+     * Resolves once the account is known and its stored settings have been
+     * read at startup.
+     */
+    const settingsReady = new Promise((resolve) =>
+        // Deferred: currentAccountEmail() needs the rest of this script.
+        setTimeout(() => identifyAccount(resolve), 0),
+    )
+        .then(() => SAB.settings.load(account))
+        .then(
+            (loaded) => applySettings(loaded),
+            (err) => LOG("failed to load settings, using defaults", err),
+        );
+
+    /**
+     * False until settingsReady has settled.  scanAll() waits for it, so the
+     * page observer starting first never injects with the defaults — into
+     * an account that turned the button off, say.
+     */
+    let settingsLoaded = false;
+
+    settingsReady.then(() => {
+        settingsLoaded = true;
+        SAB.settings.onChange((next) => {
+            LOG("settings changed", next);
+            applySettings(next);
+        }, account);
+    });
+
+    /**
+     * Sets `account` from the address Gmail shows, retrying while Gmail
+     * loads, then calls `onDone()` — also when it never shows one.
+     */
+    function identifyAccount(onDone, retriesLeft = ACCOUNT_RETRIES) {
+        account = SAB.settings.normalizeAccount(currentAccountEmail());
+        if (account) {
+            LOG(`account: ${account}`);
+            SAB.settings.rememberAccount(account);
+            onDone();
+        } else if (retriesLeft > 0) {
+            setTimeout(
+                () => identifyAccount(onDone, retriesLeft - 1),
+                ACCOUNT_RETRY_MS,
+            );
+        } else {
+            LOG("account unknown, using the shared settings");
+            onDone();
+        }
+    }
+
+    /**
+     * Swaps in a new settings object and updates every already-injected
+     * button so label, tooltip, default action and enabled state change
+     * without a reload.
+     */
+    function applySettings(next) {
+        const wasEnabled = settings.enabled;
+        settings = next;
+
+        document.querySelectorAll(`[${BTN_ATTR}]`).forEach(updateButton);
+        // The rules themselves may have changed.
+        openComposes().forEach(applyRules);
+
+        // Composes opened while disabled were never processed — pick them up.
+        if (settings.enabled && !wasEnabled) scheduleScan(0);
+    }
+
+    /**
+     * Label for a post-send action request ("Send & Archive", "Send & Move
+     * to Clients", …).  The custom button label from the options, if any,
+     * replaces the Send & Archive one.
+     *
+     * @param {{id: string, label?: string}} request  See POST_SEND_ACTIONS.
+     */
+    function actionLabel(request) {
+        if (request.id === "archive" && settings.buttonLabel) {
+            return settings.buttonLabel;
+        }
+        const action = POST_SEND_ACTIONS[request.id];
+        return SAB.locales.message(
+            action.label,
+            action.labelArgs && action.labelArgs(request),
+        );
+    }
 
     // ─── DOM Helpers ─────────────────────────────────────────────────────────
 
@@ -34,54 +165,66 @@
      * Gmail renders popup compose windows (both new-message and popped-out reply)
      * inside a fixed `.dw` element at the bottom of the viewport.  Inline
      * reply composes live inside conversation threads and do NOT have `.dw` as
-     * an ancestor, so they are excluded naturally.
+     * an ancestor, so they are excluded naturally.  In a standalone compose
+     * window the whole page is the compose area.
      */
     function getPopupComposeRoot(el) {
-        const dw = el.closest && el.closest(".dw");
-        return dw || null;
+        if (IS_STANDALONE_COMPOSE) {
+            return document.body.contains(el) ? document.body : null;
+        }
+        return SAB.selectors.closest("composeArea", el);
+    }
+
+    /** Every area that may hold popup composes (see getPopupComposeRoot()). */
+    function findComposeAreas() {
+        return IS_STANDALONE_COMPOSE
+            ? [document.body]
+            : SAB.selectors.queryAll("composeArea");
+    }
+
+    /**
+     * True when `text` is a plain Send label in Gmail's UI language ("Send",
+     * "Senden ‪(Strg-Eingabetaste)‬", …) but NOT a Send & Archive label
+     * (that would be Gmail's own S&A button, not the plain Send button).
+     */
+    function isPlainSendLabel(text) {
+        return (
+            SAB.locales.matchesLabel(text, "send") &&
+            !SAB.locales.matchesLabel(text, "sendAndArchive")
+        );
     }
 
     /**
      * Finds the Send button inside `composeEl`.
-     * Looks for Gmail's `.aoO` class (send button marker) while excluding any
+     * Looks for Gmail's `.aoO` class (send button marker) first, then for
+     * Send labels (see the `sendButton` selectors), while excluding any
      * button we have already injected.
      */
     function findSendButton(composeEl) {
-        // Gmail marks its send button with the `aoO` class.
-        // We verify via data-tooltip (a cheap attribute read) rather than
-        // textContent (which traverses the full subtree of every candidate).
-        const byClass = composeEl.querySelectorAll(".aoO");
-        for (const el of byClass) {
-            if (el.hasAttribute(BTN_ATTR)) continue;
-            const tooltip = (
-                el.getAttribute("data-tooltip") || ""
-            ).toLowerCase();
-            // Accept buttons whose tooltip starts with "send" but NOT "send & archive"
-            // (that would be Gmail's own S&A button, not the plain Send button).
-            if (
-                tooltip === "send" ||
-                (tooltip.startsWith("send ") && !tooltip.startsWith("send &"))
-            ) {
-                return el;
-            }
-        }
-
-        // Secondary: a Send button with no tooltip yet — match by aria-label.
-        const byAriaLabel = composeEl.querySelectorAll(
-            '[aria-label="Send"], [aria-label^="Send "]',
+        return (
+            SAB.selectors
+                .queryAll("sendButton", composeEl)
+                .find(isSendButton) || null
         );
-        for (const el of byAriaLabel) {
-            if (el.hasAttribute(BTN_ATTR)) continue;
-            const label = (el.getAttribute("aria-label") || "").toLowerCase();
-            if (
-                label === "send" ||
-                (label.startsWith("send ") && !label.startsWith("send &"))
-            ) {
-                return el;
-            }
-        }
+    }
 
-        return null;
+    /**
+     * True when `sendButton` candidate `el` really is a plain Send button:
+     * not ours, and labelled Send.  The `sendButton` selectors only match
+     * the start of a label, so they also catch Gmail's own "Send and
+     * archive" and anything labelled "Sender…".
+     */
+    function isSendButton(el) {
+        // We verify via data-tooltip / aria-label (cheap attribute reads)
+        // rather than textContent (which traverses the full subtree of every
+        // candidate).  A Send button may not have its tooltip yet.
+        return (
+            !el.hasAttribute(BTN_ATTR) &&
+            isPlainSendLabel(
+                el.getAttribute("data-tooltip") ||
+                    el.getAttribute("aria-label"),
+            )
+        );
     }
 
     /**
@@ -91,26 +234,22 @@
      */
     function findComposeWindows(dwEl) {
         // Strategy: locate Send buttons directly, then walk UP to the closest
-        // .nH ancestor.  This guarantees we always get the innermost .nH for
-        // each button — never an outer ancestor that also "contains" the button.
+        // compose window (.nH) ancestor.  This guarantees we always get the
+        // innermost .nH for each button — never an outer ancestor that also
+        // "contains" the button.
         // Using a Set deduplicates naturally when multiple selectors hit the
         // same element.
         const seen = new Set();
         const results = [];
 
-        // Collect every element that looks like a Send button inside this .dw.
-        const sendCandidates = [
-            ...dwEl.querySelectorAll(".aoO"),
-            ...dwEl.querySelectorAll(
-                '[aria-label="Send"], [aria-label^="Send "]',
-            ),
-        ];
-
-        for (const el of sendCandidates) {
-            if (el.hasAttribute(BTN_ATTR)) continue;
+        // Collect every Send button inside this .dw.
+        const sendButtons = SAB.selectors
+            .queryAll("sendButton", dwEl)
+            .filter(isSendButton);
 
-            // Walk up to the nearest .nH ancestor that is still inside the .dw.
-            const closest = el.closest(".nH");
+        for (const el of sendButtons) {
+            // Walk up to the nearest compose window that is still inside the .dw.
+            const closest = SAB.selectors.closest("composeWindow", el);
             const root = closest && dwEl.contains(closest) ? closest : dwEl;
             if (seen.has(root)) continue;
             seen.add(root);
@@ -140,248 +279,2347 @@
         }
     }
 
-    // ─── Toast Notification ──────────────────────────────────────────────────
+    // ─── Compose Lifecycle ────────────────────────────────────────────────────
+
+    /**
+     * Where a popup compose stands, from being found to its post-send action
+     * having run:
+     *
+     *  - DETECTED  found by a scan; its Send button hasn't rendered yet
+     *  - INJECTED  our button is in place
+     *  - SENDING   sent (or being scheduled); waiting for Gmail's verdict
+     *  - CLOSED    gone from the page after a confirmed send; the post-send
+     *              action is still to come
+     *  - ARCHIVED  the post-send action, whichever it is, has run
+     *
+     * A compose closed any other way, or whose action was skipped or
+     * failed, is simply forgotten.
+     */
+    const COMPOSE_STATE = Object.freeze({
+        DETECTED: "detected",
+        INJECTED: "injected",
+        SENDING: "sending",
+        CLOSED: "closed",
+        ARCHIVED: "archived",
+    });
+
+    /**
+     * Longest a sent compose's post-send action should take: the Undo Send
+     * period (at most 30 s), finding the conversation and clicking through
+     * Gmail's retries.
+     */
+    const CLOSED_LIMIT_MS = 2 * 60000;
+
+    /** Tracked popup composes: element → `{state, timer}`. */
+    const composes = new Map();
+
+    /**
+     * Safety net for the states something else has to move on: a compose
+     * still in one after this long is forgotten, so an outcome or action
+     * that never reports back can't leave it tracked forever.
+     */
+    function stateLimitMs(state) {
+        if (state === COMPOSE_STATE.SENDING) {
+            return SCHEDULE_DIALOG_TIMEOUT_MS + settings.sendTimeoutMs;
+        }
+        if (state === COMPOSE_STATE.CLOSED) return CLOSED_LIMIT_MS;
+        return 0;
+    }
+
+    /** State of `composeEl`, or null if it isn't tracked. */
+    function composeState(composeEl) {
+        const entry = composes.get(composeEl);
+        return entry ? entry.state : null;
+    }
+
+    /**
+     * Moves `composeEl` to `state`, restarting the safety-net timer.
+     * ARCHIVED is the end of the line, so the compose is then forgotten.
+     */
+    function setComposeState(composeEl, state) {
+        const entry = composes.get(composeEl) || { state: null, timer: null };
+        clearTimeout(entry.timer);
+        LOG(`compose lifecycle: ${entry.state || "untracked"} → ${state}`);
+        if (state === COMPOSE_STATE.ARCHIVED) {
+            composes.delete(composeEl);
+            return;
+        }
+
+        entry.state = state;
+        const limitMs = stateLimitMs(state);
+        entry.timer = limitMs
+            ? setTimeout(
+                  () =>
+                      forgetCompose(
+                          composeEl,
+                          `still ${state} after ${limitMs}ms`,
+                      ),
+                  limitMs,
+              )
+            : null;
+        composes.set(composeEl, entry);
+    }
+
+    /** Stops tracking `composeEl`, logging why. */
+    function forgetCompose(composeEl, reason) {
+        const entry = composes.get(composeEl);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        composes.delete(composeEl);
+        LOG(`compose lifecycle: forgot a ${entry.state} compose (${reason})`);
+    }
+
+    /**
+     * Forgets composes that have left the page without a send in flight —
+     * closed, discarded or torn down with their compose area.
+     */
+    function sweepComposes() {
+        for (const [composeEl, { state }] of composes) {
+            if (composeEl.isConnected) continue;
+            if (
+                state === COMPOSE_STATE.DETECTED ||
+                state === COMPOSE_STATE.INJECTED
+            ) {
+                forgetCompose(composeEl, "closed");
+            }
+        }
+    }
+
+    /**
+     * After a send that didn't go through: a compose still open is back to
+     * waiting for the user, one that has gone is forgotten.
+     */
+    function composeNotSent(composeEl, outcome) {
+        if (composeEl.isConnected) {
+            setComposeState(composeEl, COMPOSE_STATE.INJECTED);
+        } else {
+            forgetCompose(composeEl, `send ${outcome}`);
+        }
+    }
+
+    /** Composes with our button that aren't busy sending. */
+    function openComposes() {
+        return [...composes]
+            .filter(([, { state }]) => state === COMPOSE_STATE.INJECTED)
+            .map(([composeEl]) => composeEl);
+    }
+
+    // ─── Thread Identity ──────────────────────────────────────────────────────
+
+    /**
+     * Matches the thread token at the end of a conversation-view URL hash,
+     * e.g. "#inbox/FMfcgzGxyz…" or "#label/Clients/FMfcgzGxyz…".  List views
+     * ("#inbox", "#search/foo") have no such segment.
+     */
+    const THREAD_HASH_RE = /\/([A-Za-z0-9_-]{16,})$/;
+
+    /**
+     * Describes the conversation Gmail is currently showing:
+     * `legacyThreadId` from the visible subject heading and `token` from the
+     * URL hash.  Either may be null (list view, or Gmail mid-render).
+     */
+    function displayedThread() {
+        const heading = SAB.selectors
+            .queryAll("threadHeading")
+            .find((el) => el.offsetParent !== null);
+        const match = location.hash.match(THREAD_HASH_RE);
+        return {
+            legacyThreadId: heading
+                ? heading.getAttribute("data-legacy-thread-id")
+                : null,
+            token: match ? match[1] : null,
+        };
+    }
+
+    /**
+     * Records which conversation `composeEl` replies to, at the moment the
+     * user clicks Send & Archive — before Gmail (or the user) can move on.
+     *
+     * Gmail sometimes tags the compose itself with the thread's legacy id;
+     * otherwise the conversation open behind the popup is the one being
+     * replied to.  Returns null when neither identifies a thread (e.g. a new
+     * message composed from the inbox list).
+     *
+     * @returns {{legacyThreadId: ?string, token: ?string, hash: ?string}|null}
+     */
+    function captureThread(composeEl) {
+        const tagged = SAB.selectors.query("threadTag", composeEl);
+        const shown = displayedThread();
+
+        const thread = {
+            legacyThreadId: shown.legacyThreadId,
+            token: shown.token,
+            hash: shown.token ? location.hash : null,
+        };
+
+        // The compose belongs to a different thread than the one on screen —
+        // trust the compose, and don't keep a URL that points elsewhere.
+        if (tagged) {
+            const id = tagged.getAttribute("data-legacy-thread-id");
+            if (id !== shown.legacyThreadId) {
+                thread.legacyThreadId = id;
+                thread.token = null;
+                thread.hash = null;
+            }
+        }
+
+        // A standalone compose window has no conversation behind it; Gmail
+        // may pass the (hex) thread id of a popped-out reply in its URL.
+        const th = new URLSearchParams(location.search).get("th");
+        if (
+            IS_STANDALONE_COMPOSE &&
+            !thread.legacyThreadId &&
+            /^[0-9a-f]+$/i.test(th)
+        ) {
+            thread.legacyThreadId = th;
+        }
+
+        if (!thread.legacyThreadId && !thread.token) return null;
+        return thread;
+    }
+
+    /**
+     * True when Gmail is currently showing `thread`.  The legacy id is
+     * compared when both sides have one; otherwise the URL hash token.
+     */
+    function isThreadDisplayed(thread) {
+        const shown = displayedThread();
+        if (thread.legacyThreadId && shown.legacyThreadId) {
+            return thread.legacyThreadId === shown.legacyThreadId;
+        }
+        return !!thread.token && thread.token === shown.token;
+    }
+
+    // ─── Gmail API Backend ────────────────────────────────────────────────────
+
+    /** Loose e-mail address pattern, for reading the signed-in account. */
+    const EMAIL_RE = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+
+    /**
+     * E-mail address of the Gmail account open in this tab, from the
+     * account button ("Google Account: Jane Doe (jane@example.com)") or the
+     * page title ("Inbox - jane@example.com - Gmail"); null if neither
+     * shows one.  background.js compares it with the account it holds a
+     * token for, so the API never edits a different mailbox.
+     */
+    function currentAccountEmail() {
+        const accountBtn = SAB.selectors.query("accountButton");
+        const match =
+            (accountBtn &&
+                accountBtn.getAttribute("aria-label").match(EMAIL_RE)) ||
+            document.title.match(EMAIL_RE);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * The Gmail API label changes (`api` or `apiRevert`, per `key`) for
+     * `request` on `thread`, or null when the backend is off, the action
+     * has none, or the thread's id is unknown.
+     */
+    function apiChanges(thread, request, key) {
+        if (!settings.useGmailApi || !thread.legacyThreadId) return null;
+        return POST_SEND_ACTIONS[request.id][key] || null;
+    }
+
+    /**
+     * Asks background.js to apply label `changes` to `thread` through the
+     * Gmail API, then calls `onDone(true|false)`.  Any failure — not signed
+     * in, wrong account, network, extension reloaded — reports false so the
+     * caller can fall back to clicking Gmail's buttons.
+     */
+    function modifyThreadViaApi(thread, changes, onDone) {
+        const message = {
+            type: "sab:modifyThread",
+            threadId: thread.legacyThreadId,
+            account: currentAccountEmail(),
+            ...changes,
+        };
+        LOG("modifyThreadViaApi: sending", message);
+
+        try {
+            chrome.runtime.sendMessage(message, (response) => {
+                const error = chrome.runtime.lastError
+                    ? chrome.runtime.lastError.message
+                    : response && !response.ok
+                      ? response.error
+                      : null;
+                if (error || !response) {
+                    LOG(`modifyThreadViaApi: failed (${error}), falling back`);
+                    onDone(false);
+                    return;
+                }
+                onDone(true);
+            });
+        } catch (err) {
+            // The extension was reloaded and this content script orphaned.
+            LOG(`modifyThreadViaApi: ${err.message}, falling back`);
+            onDone(false);
+        }
+    }
+
+    // ─── New Message Threads ──────────────────────────────────────────────────
+
+    /**
+     * The "View message" link in Gmail's "Message sent" notification, which
+     * leads to the conversation a new message just started; null if the
+     * notification isn't showing.
+     */
+    function findViewMessageLink() {
+        return (
+            SAB.selectors
+                .queryAll("viewMessageLink")
+                .find(
+                    (el) =>
+                        !SAB.notifications.isOwn(el) &&
+                        (el.id === "link_vsm" ||
+                            SAB.locales.matchesLabel(
+                                el.textContent,
+                                "viewMessage",
+                            )),
+                ) || null
+        );
+    }
+
+    /**
+     * Gmail's "View message" link names the conversation it opens as
+     * `thread-f:<decimal id>`; the same id in hex is the thread id the
+     * Gmail API and `data-legacy-thread-id` use.
+     */
+    const THREAD_PARAM_RE = /thread-f:(\d+)/;
+
+    /**
+     * The thread a "View message" link points at, read from its target URL
+     * (e.g. "#sent/FMfcgzGxyz…") and its `thread-f:` id, or null when the
+     * link has neither.
+     */
+    function threadFromLink(link) {
+        const target =
+            (link.getAttribute("href") || "") +
+            " " +
+            (link.getAttribute("param") || "");
+        const hash = target.includes("#")
+            ? target.slice(target.indexOf("#")).split(/\s/)[0]
+            : "";
+        const token = hash.match(THREAD_HASH_RE);
+        const id = target.match(THREAD_PARAM_RE);
+        if (!token && !id) return null;
+        return {
+            legacyThreadId: id ? BigInt(id[1]).toString(16) : null,
+            token: token ? token[1] : null,
+            hash: token ? hash : null,
+        };
+    }
+
+    /**
+     * The conversation a new message just started, read from the "View
+     * message" link in Gmail's "Message sent" notification — call right as
+     * the send is confirmed, while the notification is up.  Null when the
+     * link names none; the conversation is never opened to find out.
+     */
+    function newMessageThread() {
+        const link = findViewMessageLink();
+        const thread = link && threadFromLink(link);
+        LOG("newMessageThread: View message link", link, thread);
+        return thread;
+    }
 
     /**
-     * Shows a brief notification at the bottom of the viewport.
-     * Styled to sit alongside Gmail's own notification bar.
+     * Settles a sent new message's post-send action.  With the Gmail API
+     * backend on, the action is applied to the new conversation by thread
+     * id once the Undo Send period is over, without opening it.  Actions
+     * the API can't express are not run, since clicking Gmail's buttons
+     * would mean opening the conversation and pulling the user away from
+     * where they are; the conversation is recorded on history entry
+     * `historyId` instead, where Retry can act on it later.
      *
-     * @param {string} message
-     * @param {'info'|'error'} [type='error']
-     */
-    function showToast(message, type = "error") {
-        const existing = document.getElementById("sab-toast");
-        if (existing) existing.remove();
-
-        const toast = document.createElement("div");
-        toast.id = "sab-toast";
-        toast.setAttribute("role", "alert");
-        toast.textContent = message;
-
-        Object.assign(toast.style, {
-            position: "fixed",
-            bottom: "24px",
-            left: "50%",
-            transform: "translateX(-50%)",
-            background: type === "error" ? "#c0392b" : "#1a73e8",
-            color: "#fff",
-            padding: "10px 20px",
-            borderRadius: "4px",
-            fontSize: "14px",
-            fontFamily: '"Google Sans",Roboto,sans-serif',
-            zIndex: "99999",
-            boxShadow: "0 2px 8px rgba(0,0,0,.35)",
-            pointerEvents: "none",
-            opacity: "1",
-            transition: "opacity 0.4s ease",
-            whiteSpace: "nowrap",
+     * @param {object}  request
+     * @param {string}  historyId
+     * @param {Element} [undoLink]  The Undo link of the send's notice.
+     */
+    function settleNewMessage(request, historyId, undoLink = null) {
+        const thread = newMessageThread();
+        SAB.history.update(historyId, {
+            thread,
+            threadId: thread && (thread.legacyThreadId || thread.token),
+        });
+        const changes = thread && apiChanges(thread, request, "api");
+        if (!changes) {
+            reportNewMessageNotActed(thread, request, historyId);
+            return;
+        }
+
+        LOG(`settleNewMessage: ${request.id} through the API unless undone`);
+        watchUndoSend(undoLink, () => {
+            LOG("settleNewMessage: undone before acting, skipping");
+            clearTimeout(actionTimer);
+            SAB.history.update(historyId, { outcome: HISTORY.UNDONE });
+        });
+
+        const actionTimer = setTimeout(() => {
+            modifyThreadViaApi(thread, changes, (ok) => {
+                if (!ok) {
+                    reportNewMessageNotActed(thread, request, historyId);
+                    return;
+                }
+                offerUndo(thread, request, historyId);
+                SAB.history.update(historyId, { outcome: HISTORY.DONE });
+            });
+        }, undoWaitMs());
+    }
+
+    /**
+     * Tells the user that post-send action `request` wasn't applied to the
+     * conversation a new message started.  For Send & Archive that leaves
+     * nothing undone: Gmail files a new conversation under Sent, not in the
+     * inbox.
+     */
+    function reportNewMessageNotActed(thread, request, historyId) {
+        const archive = request.id === "archive";
+        SAB.history.update(historyId, {
+            outcome: archive ? HISTORY.DONE : HISTORY.ACTION_FAILED,
         });
+        let notice = "toastNewMessageNotInInbox";
+        if (!archive) {
+            notice = thread ? "toastNewMessageNotActed" : "toastNoThread";
+        }
+        SAB.notifications.show(
+            SAB.locales.message(notice, actionLabel(request)),
+            { severity: thread || archive ? SEVERITY.INFO : SEVERITY.ERROR },
+        );
+    }
+
+    // ─── Post-send Actions ────────────────────────────────────────────────────
+
+    /**
+     * What the split button can do once the message is sent.  `run` names
+     * the Gmail control that performs the action and `revert` the one that
+     * undoes it if the send is undone: a conversation toolbar button
+     * (`toolbar`) or an item in the toolbar's "More" menu (`menu`), both as
+     * locales.js keys — see performStep() for the other step shapes.  A
+     * `revert` may also list several steps, taken in order; a null one
+     * means reopening the thread is enough.
+     * `label` and `tooltip` are _locales messages.
+     *
+     * `api` and `apiRevert` are the same changes as Gmail API label edits
+     * (plus `untrash`, to take the thread out of the Trash first); when the
+     * API backend is enabled they are tried first, by thread id, with the
+     * button clicks as the fallback.  `leavesInbox` marks actions
+     * that take the conversation out of the inbox, which the history in the
+     * toolbar popup offers to move back; `done` is the _locales message of
+     * the notification that offers Undo once such an action has run.  Mute
+     * has none; the history can still move a muted conversation back, which
+     * unmutes it as well.
+     *
+     * Actions are invoked with a request object, `{id}` plus any parameters
+     * the action takes.  Parameterised actions compute their steps and label
+     * arguments from it, and have a `choose(anchor, onChosen)` function that
+     * asks the user for those parameters when the entry (labelled
+     * `menuLabel`) is picked from the menu.  They only ever run once and are
+     * never saved as the main button's default.
+     *
+     * Keys of the plain actions must match SAB.settings.POST_SEND_ACTIONS.
+     */
+    const POST_SEND_ACTIONS = Object.freeze({
+        archive: {
+            label: "buttonLabel",
+            tooltip: "buttonTooltip",
+            run: { toolbar: "archive" },
+            revert: { toolbar: "moveToInbox" },
+            api: { removeLabelIds: ["INBOX"] },
+            apiRevert: { addLabelIds: ["INBOX"] },
+            done: "toastDoneArchive",
+            leavesInbox: true,
+        },
+        delete: {
+            label: "buttonLabelDelete",
+            tooltip: "buttonTooltipDelete",
+            run: { toolbar: "delete" },
+            revert: { toolbar: "moveToInbox" },
+            apiRevert: { untrash: true, addLabelIds: ["INBOX"] },
+            done: "toastDoneDelete",
+            leavesInbox: true,
+        },
+        mute: {
+            label: "buttonLabelMute",
+            tooltip: "buttonTooltipMute",
+            run: { menu: "mute" },
+            revert: [{ menu: "unmute" }, { toolbar: "moveToInbox" }],
+            leavesInbox: true,
+        },
+        markUnread: {
+            label: "buttonLabelMarkUnread",
+            tooltip: "buttonTooltipMarkUnread",
+            run: { toolbar: "markUnread" },
+            // Gmail marks a conversation read as soon as it is opened again.
+            revert: null,
+            api: { addLabelIds: ["UNREAD"] },
+            apiRevert: { removeLabelIds: ["UNREAD"] },
+        },
+        star: {
+            label: "buttonLabelStar",
+            tooltip: "buttonTooltipStar",
+            run: { menu: "addStar" },
+            revert: { menu: "removeStar" },
+            api: { addLabelIds: ["STARRED"] },
+            apiRevert: { removeLabelIds: ["STARRED"] },
+        },
+        moveTo: {
+            label: "buttonLabelMoveTo",
+            labelArgs: (request) => request.label,
+            menuLabel: "menuItemMoveTo",
+            run: (request) => ({ toolbar: "moveTo", item: request.label }),
+            revert: { toolbar: "moveToInbox" },
+            choose: (anchor, onChosen) => openLabelPicker(anchor, onChosen),
+            done: "toastDoneMoveTo",
+            leavesInbox: true,
+        },
+        snooze: {
+            label: "buttonLabelSnooze",
+            menuLabel: "menuItemSnooze",
+            // Presets are Gmail's own menu entries, so Gmail decides the
+            // exact time; a custom time goes through its date/time dialog.
+            run: (request) =>
+                request.until
+                    ? {
+                          toolbar: "snooze",
+                          menu: "snoozeCustom",
+                          finish: (onDone) =>
+                              fillSnoozeDialog(request.until, onDone),
+                      }
+                    : { toolbar: "snooze", menu: request.preset },
+            // Moving a snoozed conversation to the inbox unsnoozes it.
+            revert: { toolbar: "moveToInbox" },
+            choose: (anchor, onChosen) => openSnoozePicker(anchor, onChosen),
+            done: "toastDoneSnooze",
+            leavesInbox: true,
+        },
+    });
+
+    /**
+     * Resolves an action's `run` or `revert` step for `request` — steps of
+     * parameterised actions are functions of the request.
+     */
+    function resolveStep(step, request) {
+        return typeof step === "function" ? step(request) : step;
+    }
+
+    /**
+     * Finds Gmail's native Send & Archive button within a compose element,
+     * if one exists (Gmail renders it in inline/thread composes but not in
+     * popup composes).  Returns the element or null.
+     *
+     * We check visibility so we can tell whether Gmail actually shows it or
+     * is just keeping it in the DOM in a hidden state.
+     */
+    function findNativeSendAndArchiveButton(composeEl) {
+        // Gmail's inline compose button says "Send and archive" (lowercase, "and"
+        // not "&").  The locale dictionary lists both variants for resilience.
+        const candidates = SAB.selectors.queryAll(
+            "nativeSendAndArchive",
+            composeEl,
+        );
+        for (const el of candidates) {
+            if (el.hasAttribute(BTN_ATTR)) continue;
+            return el;
+        }
+        return null;
+    }
+
+    /**
+     * Finds a button of the open conversation's toolbar by its label in the
+     * current UI language (`key` is a locales.js entry such as "archive" or
+     * "moveToInbox").
+     *
+     * Only visible `threadToolbar`s are searched, so compose and navigation
+     * controls such as "More send options" or "More labels" never answer
+     * for "More", and labels must match exactly (see SAB.locales.isLabel —
+     * the tooltip may still end in a shortcut hint, e.g. "Archive (y)").  The
+     * `toolbarButton` selectors try the attributes in order of how reliably
+     * they identify the toolbar button: data-tooltip first, then aria-label,
+     * then a plain title.
+     */
+    function findToolbarButton(key) {
+        for (const toolbar of SAB.selectors.queryAll("threadToolbar")) {
+            if (toolbar.offsetParent === null) continue;
+            const btn = SAB.selectors
+                .queryAll("toolbarButton", toolbar, key)
+                .find((el) =>
+                    ["data-tooltip", "aria-label", "title"].some((attr) =>
+                        SAB.locales.isLabel(el.getAttribute(attr), key),
+                    ),
+                );
+            if (btn) return btn;
+        }
+        return null;
+    }
+
+    /** Results reported by clickThreadButton(). */
+    const CLICK_RESULT = Object.freeze({
+        CLICKED: "clicked",
+        BUTTON_NOT_FOUND: "buttonNotFound",
+        THREAD_NOT_DISPLAYED: "threadNotDisplayed",
+    });
+
+    /**
+     * Brings `thread` back on screen by restoring the URL hash captured with
+     * it, unless Gmail is already showing it.  Threads known only by id
+     * (e.g. captured in a standalone compose window) are opened through
+     * Gmail's `#all/<id>` URL.
+     */
+    function showThread(thread) {
+        const hash =
+            thread.hash ||
+            (thread.legacyThreadId ? `#all/${thread.legacyThreadId}` : null);
+        if (!isThreadDisplayed(thread) && hash && location.hash !== hash) {
+            LOG(`showThread: navigating back to ${hash}`);
+            location.hash = hash;
+        }
+    }
+
+    /**
+     * Clicks the conversation toolbar button labelled `key` — but only while
+     * Gmail is showing `thread`, when given — then calls `onDone` with a
+     * CLICK_RESULT.
+     *
+     * Gmail may not have finished rendering the conversation view (e.g. right
+     * after a send completes or a navigation), so we retry up to
+     * `retriesLeft` times (`archiveRetryMs` apart — 8 × 300 ms by default)
+     * before giving up.  No keyboard-shortcut fallback is used.
+     */
+    function clickThreadButton(
+        thread,
+        key,
+        onDone,
+        retriesLeft = settings.archiveRetries,
+    ) {
+        const total = settings.archiveRetries + 1;
+        LOG(
+            `clickThreadButton(${key}): attempt ${total - retriesLeft} of ${total}`,
+        );
+        // Never click while a different conversation is on screen.
+        const onThread = !thread || isThreadDisplayed(thread);
+        const btn = onThread ? findToolbarButton(key) : null;
+
+        if (btn) {
+            LOG(`clickThreadButton(${key}): found button, clicking`, btn);
+            simulateClick(btn);
+            onDone(CLICK_RESULT.CLICKED);
+            return;
+        }
+
+        LOG(
+            onThread
+                ? `clickThreadButton(${key}): button not found (retries left: ${retriesLeft})`
+                : `clickThreadButton(${key}): target thread not displayed (retries left: ${retriesLeft})`,
+        );
+        if (retriesLeft > 0) {
+            setTimeout(
+                () => clickThreadButton(thread, key, onDone, retriesLeft - 1),
+                settings.archiveRetryMs,
+            );
+            return;
+        }
+
+        onDone(
+            onThread
+                ? CLICK_RESULT.BUTTON_NOT_FOUND
+                : CLICK_RESULT.THREAD_NOT_DISPLAYED,
+        );
+    }
+
+    /**
+     * Describes a menu item to clickMenuItem(): either a locales.js `key`
+     * (e.g. "mute") or a user-supplied label name, matched exactly.
+     */
+    function menuItemTarget(step) {
+        if (step.menu) {
+            return {
+                name: step.menu,
+                matches: (text) => SAB.locales.matchesLabel(text, step.menu),
+            };
+        }
+        const wanted = step.item.trim().toLowerCase();
+        return {
+            name: step.item,
+            matches: (text) => text.trim().toLowerCase() === wanted,
+            search: step.item,
+        };
+    }
 
-        document.body.appendChild(toast);
+    /**
+     * Types `text` into the search box of the visible Gmail menu, if it has
+     * one (the "Move to" menu only renders the first labels until filtered).
+     */
+    function filterGmailMenu(text) {
+        const input = SAB.selectors
+            .queryAll("menuSearch")
+            .find((el) => el.offsetParent !== null && !el.closest(".sab-menu"));
+        if (!input || input.value === text) return;
+
+        LOG(`filterGmailMenu: searching for "${text}"`);
+        input.focus();
+        input.value = text;
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+        input.dispatchEvent(new KeyboardEvent("keyup", { bubbles: true }));
+    }
+
+    /**
+     * Clicks the item described by `target` (see menuItemTarget()) in the
+     * Gmail menu that is currently open — e.g. "Mute" in the toolbar's
+     * "More" menu — retrying while the menu renders, then calls
+     * `onDone(true|false)`.  Targets with a `search` text type it into the
+     * menu's search box after the first miss.  If the item never appears
+     * the menu is closed with Escape rather than left hanging open.
+     */
+    function clickMenuItem(
+        target,
+        onDone,
+        retriesLeft = settings.archiveRetries,
+    ) {
+        const item = SAB.selectors
+            .queryAll("menuItem")
+            .find(
+                (el) =>
+                    el.offsetParent !== null &&
+                    !el.closest(".sab-menu") &&
+                    target.matches(el.textContent),
+            );
+
+        if (item) {
+            LOG(`clickMenuItem(${target.name}): found item, clicking`, item);
+            simulateClick(item);
+            onDone(true);
+            return;
+        }
+
+        if (retriesLeft > 0) {
+            if (target.search) filterGmailMenu(target.search);
+            setTimeout(
+                () => clickMenuItem(target, onDone, retriesLeft - 1),
+                settings.archiveRetryMs,
+            );
+            return;
+        }
+
+        LOG(`clickMenuItem(${target.name}): item not found, closing menu`);
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+        );
+        onDone(false);
+    }
+
+    /**
+     * Fills in Gmail's "Select date and time" snooze dialog with `until` (a
+     * timestamp) and saves it, retrying while the dialog renders, then calls
+     * `onDone(true|false)`.  The dialog's two text fields take the date and
+     * time as Gmail displays them in the page language; if they never appear
+     * the dialog is closed with Escape.
+     */
+    function fillSnoozeDialog(
+        until,
+        onDone,
+        retriesLeft = settings.archiveRetries,
+    ) {
+        const dialog = SAB.selectors
+            .queryAll("dialog")
+            .find(
+                (el) => !el.closest(".sab-menu") && el.querySelector("input"),
+            );
+        const inputs = dialog
+            ? [
+                  ...dialog.querySelectorAll(
+                      'input[type="text"], input:not([type])',
+                  ),
+              ].filter((el) => el.offsetParent !== null)
+            : [];
+        const saveBtn = dialog
+            ? [...dialog.querySelectorAll('[role="button"], button')].find(
+                  (el) =>
+                      SAB.locales.matchesLabel(el.textContent, "snoozeSave"),
+              )
+            : null;
+
+        if (inputs.length >= 2 && saveBtn) {
+            const lang = document.documentElement.lang || undefined;
+            const date = new Date(until);
+            const values = [
+                date.toLocaleDateString(lang, {
+                    month: "short",
+                    day: "numeric",
+                    year: "numeric",
+                }),
+                date.toLocaleTimeString(lang, {
+                    hour: "numeric",
+                    minute: "2-digit",
+                }),
+            ];
+            LOG(`fillSnoozeDialog: snoozing until ${values.join(" ")}`);
+            values.forEach((value, i) => {
+                const input = inputs[i];
+                input.focus();
+                input.value = value;
+                input.dispatchEvent(new Event("input", { bubbles: true }));
+                input.dispatchEvent(new Event("change", { bubbles: true }));
+                input.dispatchEvent(new Event("blur"));
+            });
+            simulateClick(saveBtn);
+            onDone(true);
+            return;
+        }
+
+        if (retriesLeft > 0) {
+            setTimeout(
+                () => fillSnoozeDialog(until, onDone, retriesLeft - 1),
+                settings.archiveRetryMs,
+            );
+            return;
+        }
+
+        LOG("fillSnoozeDialog: dialog not found, closing it");
+        document.activeElement.dispatchEvent(
+            new KeyboardEvent("keydown", { key: "Escape", bubbles: true }),
+        );
+        onDone(false);
+    }
+
+    /**
+     * Performs one step of a post-send action on `thread` and calls `onDone`
+     * with a CLICK_RESULT.  A step is one of:
+     *
+     *  - `{toolbar}`        a conversation toolbar button
+     *  - `{menu}`           an item in the toolbar's "More" menu
+     *  - `{toolbar, menu}`  an item in the menu that toolbar button opens
+     *                       (e.g. "Tomorrow" under "Snooze")
+     *  - `{toolbar, item}`  the same, for a user-supplied name rather than a
+     *                       locales.js key (e.g. a label under "Move to")
+     *
+     * A menu step may add `finish(onDone)` to complete a dialog its item
+     * opens; it reports true or false like clickMenuItem().
+     */
+    function performStep(thread, step, onDone) {
+        if (!step.menu && !step.item) {
+            clickThreadButton(thread, step.toolbar, onDone);
+            return;
+        }
+
+        const toResult = (ok) =>
+            ok ? CLICK_RESULT.CLICKED : CLICK_RESULT.BUTTON_NOT_FOUND;
+
+        clickThreadButton(thread, step.toolbar || "moreActions", (result) => {
+            if (result !== CLICK_RESULT.CLICKED) {
+                onDone(result);
+                return;
+            }
+            clickMenuItem(menuItemTarget(step), (clicked) => {
+                if (clicked && step.finish) {
+                    step.finish((ok) => onDone(toResult(ok)));
+                    return;
+                }
+                onDone(toResult(clicked));
+            });
+        });
+    }
+
+    /**
+     * Performs post-send action `request` on `thread` (as captured by
+     * captureThread()).  If the user has moved to another view since
+     * sending, navigates back to the thread's URL first; if the thread can't
+     * be identified at all, refuses with a notice rather than touching
+     * whatever happens to be on screen.  An action that takes the
+     * conversation out of the inbox then leaves the user where
+     * settings.afterArchive says (see moveOn()).
+     *
+     * @param {object|null} thread
+     * @param {object}      request  `{id}` naming a POST_SEND_ACTIONS entry,
+     *                               plus that action's parameters.
+     * @param {Function}    [onDone] Called with true once Gmail's control
+     *                               was clicked, false if it never was.
+     * @param {boolean}     [useApi] Try the Gmail API backend first, when
+     *                               enabled; false once it has failed.
+     */
+    function runThreadAction(thread, request, onDone, useApi = true) {
+        const label = actionLabel(request);
+
+        if (!thread) {
+            LOG(`runThreadAction(${request.id}): no thread was captured`);
+            SAB.notifications.show(
+                SAB.locales.message("toastNoThread", label),
+                { severity: SEVERITY.ERROR },
+            );
+            if (onDone) onDone(false);
+            return;
+        }
+
+        const target = afterArchiveTarget(request);
+
+        // The API works by thread id, wherever the user is in Gmail.
+        const changes = useApi && apiChanges(thread, request, "api");
+        if (changes) {
+            // Only move the user on from the conversation they're reading.
+            const shown = isThreadDisplayed(thread);
+            modifyThreadViaApi(thread, changes, (ok) => {
+                if (ok) {
+                    if (target && shown) moveOn(thread, target);
+                    if (onDone) onDone(true);
+                } else runThreadAction(thread, request, onDone, false);
+            });
+            return;
+        }
+
+        // Read before acting, while the conversation is still in the list.
+        const destination =
+            target === "older" || target === "newer"
+                ? neighbourFromList(thread, target)
+                : target;
+        showThread(thread);
+        performThreadAction(thread, request, destination, onDone);
+    }
+
+    /**
+     * The toolbar half of runThreadAction(): clicks the action's controls,
+     * then moves on to `target` (see moveOn()) unless it is null.
+     */
+    function performThreadAction(thread, request, target, onDone) {
+        const label = actionLabel(request);
+        const step = resolveStep(POST_SEND_ACTIONS[request.id].run, request);
+        performStep(thread, step, (result) => {
+            if (result !== CLICK_RESULT.CLICKED) {
+                // All retries exhausted — email was sent but the action couldn't be triggered.
+                LOG(`runThreadAction(${request.id}): giving up, showing toast`);
+                SAB.notifications.show(
+                    SAB.locales.message(
+                        result === CLICK_RESULT.BUTTON_NOT_FOUND
+                            ? "toastActionNotFound"
+                            : "toastThreadNotOpen",
+                        label,
+                    ),
+                    { severity: SEVERITY.ERROR },
+                );
+            } else if (target) {
+                moveOn(thread, target);
+            }
+            if (onDone) onDone(result === CLICK_RESULT.CLICKED);
+        });
+    }
+
+    /**
+     * Performs `steps` on `thread` one after another (see performStep()),
+     * stopping at the first that fails, and calls `onDone` with the
+     * CLICK_RESULT of the last one taken.
+     */
+    function performSteps(thread, steps, onDone) {
+        if (!steps.length) {
+            onDone(CLICK_RESULT.CLICKED);
+            return;
+        }
+        performStep(thread, steps[0], (result) => {
+            if (result !== CLICK_RESULT.CLICKED) onDone(result);
+            else performSteps(thread, steps.slice(1), onDone);
+        });
+    }
+
+    /**
+     * Reverses post-send action `request` on `thread`: opens it again and
+     * clicks the controls named by the action's `revert` steps — or, with
+     * the API backend, applies its `apiRevert` changes by thread id.
+     *
+     * @param {Function} [onDone]  Called with true on success, false otherwise.
+     * @param {boolean}  [useApi]  As for runThreadAction().
+     */
+    function revertThreadAction(thread, request, onDone, useApi = true) {
+        const changes = useApi && apiChanges(thread, request, "apiRevert");
+        if (changes) {
+            modifyThreadViaApi(thread, changes, (ok) => {
+                if (ok) {
+                    if (onDone) onDone(true);
+                } else revertThreadAction(thread, request, onDone, false);
+            });
+            return;
+        }
+
+        const step = resolveStep(POST_SEND_ACTIONS[request.id].revert, request);
+        showThread(thread);
+        performSteps(thread, [].concat(step || []), (result) => {
+            if (onDone) onDone(result === CLICK_RESULT.CLICKED);
+        });
+    }
+
+    /**
+     * Dispatches a realistic mouse event sequence on `el` so that Gmail's
+     * event handlers respond.  Gmail ignores bare `.click()` calls on toolbar
+     * buttons because it listens on `mousedown` and also checks that events
+     * are trusted-looking bubbling events rather than synthetic no-ops.
+     */
+    function simulateClick(el) {
+        for (const type of ["mousedown", "mouseup", "click"]) {
+            el.dispatchEvent(
+                new MouseEvent(type, {
+                    bubbles: true,
+                    cancelable: true,
+                    view: window,
+                    buttons: 1,
+                }),
+            );
+        }
+    }
+
+    // ─── After Leaving the Inbox ──────────────────────────────────────────────
+
+    /**
+     * Once an action has taken the conversation out of the inbox, the user
+     * lands where settings.afterArchive says — "list", "older" or "newer" —
+     * instead of wherever Gmail's own Auto-advance setting would take them
+     * ("gmail" leaves it to Gmail).  The list is reached through Gmail's
+     * "Back to …" button.  The older / newer conversation is read from
+     * Gmail's conversation list, which stays in the page (hidden) while a
+     * conversation is open, before the action runs, and opened as soon as
+     * the action is clicked — before Gmail's Auto-advance can open another
+     * conversation, and mark it read, on the way.
+     */
+    function afterArchiveTarget(request) {
+        return POST_SEND_ACTIONS[request.id].leavesInbox &&
+            settings.afterArchive !== "gmail"
+            ? settings.afterArchive
+            : null;
+    }
+
+    /** The list view `thread` was opened from: its URL minus its token. */
+    function listHash(thread) {
+        return thread.hash ? thread.hash.replace(THREAD_HASH_RE, "") : "#inbox";
+    }
+
+    /**
+     * Where to go once `thread` has been acted on: the conversation next to
+     * it in Gmail's conversation list — the row above for "newer", below
+     * for "older" — or "list" when it has no such neighbour or the list
+     * isn't in the page (the conversation was opened straight from a URL).
+     */
+    function neighbourFromList(thread, direction) {
+        const id =
+            thread.legacyThreadId ||
+            (isThreadDisplayed(thread) && displayedThread().legacyThreadId);
+        const ids = SAB.selectors.queryAll("listRow").map((row) => {
+            const tag = SAB.selectors.query("listRowThread", row);
+            return tag && tag.getAttribute("data-legacy-thread-id");
+        });
+        const index = id ? ids.indexOf(id) : -1;
+        const neighbour =
+            index < 0
+                ? null
+                : ids[direction === "newer" ? index - 1 : index + 1];
+        if (!neighbour) {
+            LOG(`neighbourFromList(${direction}): none, going to the list`);
+            return "list";
+        }
+        return {
+            legacyThreadId: neighbour,
+            token: null,
+            hash: `${listHash(thread)}/${neighbour}`,
+        };
+    }
+
+    /** Goes back to the list `thread` was opened from, if not there already. */
+    function backToList(thread) {
+        const shown = displayedThread();
+        if (!shown.legacyThreadId && !shown.token) return;
+        const btn = findToolbarButton("backToList");
+        if (btn) {
+            simulateClick(btn);
+            return;
+        }
+        location.hash = listHash(thread);
+    }
+
+    /**
+     * Takes the user to `target` after `thread` left the inbox: "list",
+     * "older" / "newer" (a button to click now, while `thread` is still
+     * open — the API backend doesn't make Gmail move on), or a conversation
+     * found by neighbourFromList().  Call it right after the action was
+     * clicked in Gmail's toolbar, while `thread` is still on screen: once
+     * the user has left it, Gmail's Auto-advance has nothing to advance
+     * from, so it never opens (and marks read) a conversation of its own.
+     */
+    function moveOn(thread, target) {
+        LOG("moveOn: going to", target);
+        if (target === "list") {
+            backToList(thread);
+        } else if (target === "older" || target === "newer") {
+            const btn = findToolbarButton(target);
+            if (btn && btn.getAttribute("aria-disabled") !== "true") {
+                simulateClick(btn);
+            } else backToList(thread);
+        } else {
+            showThread(target);
+        }
+    }
+
+    // ─── Send Outcome ─────────────────────────────────────────────────────────
+
+    /** Possible results reported by watchSendOutcome(). */
+    const SEND_OUTCOME = Object.freeze({
+        SENT: "sent",
+        BLOCKED: "blocked",
+        FAILED: "failed",
+        DISCARDED: "discarded",
+        CANCELLED: "cancelled",
+        TIMEOUT: "timeout",
+    });
+
+    /**
+     * How long a scheduled send waits for the user to pick a time in Gmail's
+     * "Schedule send" dialog before giving up.
+     */
+    const SCHEDULE_DIALOG_TIMEOUT_MS = 10 * 60000;
+
+    /**
+     * Text of Gmail's notification bar ("Sending…", "Message sent", "Draft
+     * discarded", …).  Our own toast also uses role=alert, so it is skipped.
+     */
+    function gmailNoticeText() {
+        return SAB.selectors
+            .queryAll("notificationBar")
+            .filter((el) => !SAB.notifications.isOwn(el))
+            .map((el) => el.textContent)
+            .join(" ");
+    }
+
+    /**
+     * Gmail's modal alert dialogs that are currently visible — "Please
+     * specify at least one recipient", "Did you mean to attach files?",
+     * address errors and the like.
+     */
+    function visibleAlertDialogs() {
+        return SAB.selectors
+            .queryAll("alertDialog")
+            .filter((el) => el.offsetParent !== null);
+    }
+
+    /**
+     * True when `el` is Gmail's "Schedule send" dialog or the "Pick date &
+     * time" dialog it leads to — both carry a "Schedule send" title or
+     * button.
+     */
+    function isScheduleDialog(el) {
+        return SAB.locales.containsLabel(el.textContent, "scheduleSend");
+    }
+
+    function isScheduleDialogOpen() {
+        return SAB.selectors
+            .queryAll("dialog")
+            .some((el) => el.offsetParent !== null && isScheduleDialog(el));
+    }
+
+    /**
+     * Watches what Gmail does after Send is clicked in `composeEl` and calls
+     * `onOutcome` exactly once with a SEND_OUTCOME value:
+     *
+     *  - SENT       the compose left the DOM *and* Gmail announced "Message sent"
+     *  - BLOCKED    an alert dialog appeared while the compose was still open
+     *  - FAILED     Gmail announced that the message couldn't be sent
+     *  - DISCARDED  Gmail announced that the draft was discarded
+     *  - CANCELLED  (scheduled sends) the schedule dialog was closed without
+     *               scheduling
+     *  - TIMEOUT    none of the above within `sendTimeoutMs`
+     *
+     * The compose merely disappearing is not enough: closing or discarding a
+     * draft removes it too.  The notification bar may still show a previous
+     * send's "Message sent", so its text only counts once it has changed.
+     *
+     * For a `scheduled` send, "Send scheduled" is the confirmation instead,
+     * and the user gets up to SCHEDULE_DIALOG_TIMEOUT_MS to pick a time in
+     * Gmail's dialog.  Once that dialog closes, Gmail has the usual
+     * `sendTimeoutMs` to confirm; a compose still open by then means the
+     * user backed out.
+     *
+     * Each call has its own check and timer, run by the shared page
+     * observer (see watchPage()), so multiple compose windows can each have
+     * an independent archive lifecycle — no risk of one window's send
+     * cancelling another window's pending archive.
+     *
+     * @param {Element}  composeEl   - The compose container that is sending.
+     * @param {Function} onOutcome   - Called exactly once with the outcome.
+     * @param {boolean}  [scheduled] - Gmail's schedule dialog was opened
+     *                                 rather than Send clicked.
+     */
+    function watchSendOutcome(composeEl, onOutcome, scheduled = false) {
+        const confirmation = scheduled ? "sendScheduled" : "messageSent";
+        const initialNotice = gmailNoticeText();
+        const initialDialogs = new Set(visibleAlertDialogs());
+        let noticeChanged = false;
+        let scheduleDialogSeen = false;
+        let settled = false;
+        let timeoutTimer = null;
+
+        LOG("watchSendOutcome: watching compose", composeEl);
+
+        function settle(outcome) {
+            if (settled) return;
+            settled = true;
+            unwatch();
+            clearTimeout(timeoutTimer);
+            LOG(`watchSendOutcome: ${outcome}`);
+            onOutcome(outcome);
+        }
+
+        function check() {
+            const composeOpen = document.contains(composeEl);
+
+            if (scheduled) {
+                const dialogOpen = isScheduleDialogOpen();
+                if (dialogOpen && !scheduleDialogSeen) {
+                    scheduleDialogSeen = true;
+                } else if (!dialogOpen && scheduleDialogSeen) {
+                    scheduleDialogSeen = false;
+                    restartTimeout(settings.sendTimeoutMs);
+                }
+            }
+
+            if (
+                composeOpen &&
+                visibleAlertDialogs().some(
+                    (el) =>
+                        !initialDialogs.has(el) &&
+                        !(scheduled && isScheduleDialog(el)),
+                )
+            ) {
+                settle(SEND_OUTCOME.BLOCKED);
+                return;
+            }
+
+            const notice = gmailNoticeText();
+            if (notice !== initialNotice) noticeChanged = true;
+            if (!noticeChanged) return;
+
+            if (SAB.locales.containsLabel(notice, "sendFailed")) {
+                settle(SEND_OUTCOME.FAILED);
+            } else if (SAB.locales.containsLabel(notice, "draftDiscarded")) {
+                settle(SEND_OUTCOME.DISCARDED);
+            } else if (
+                !composeOpen &&
+                SAB.locales.containsLabel(notice, confirmation)
+            ) {
+                settle(SEND_OUTCOME.SENT);
+            }
+        }
+
+        function onTimeout() {
+            const backedOut =
+                scheduled &&
+                document.contains(composeEl) &&
+                !isScheduleDialogOpen();
+            settle(backedOut ? SEND_OUTCOME.CANCELLED : SEND_OUTCOME.TIMEOUT);
+        }
+
+        function restartTimeout(ms) {
+            clearTimeout(timeoutTimer);
+            timeoutTimer = setTimeout(onTimeout, ms);
+        }
+
+        // document.contains() catches removal of composeEl *or any of its
+        // ancestors* (Gmail sometimes tears down a whole parent container).
+        const unwatch = watchPage(check);
+
+        restartTimeout(
+            scheduled ? SCHEDULE_DIALOG_TIMEOUT_MS : settings.sendTimeoutMs,
+        );
+    }
+
+    /** _locales message shown for each unsuccessful SEND_OUTCOME. */
+    const SEND_FAILURE_TOASTS = Object.freeze({
+        [SEND_OUTCOME.BLOCKED]: "toastSendBlocked",
+        [SEND_OUTCOME.FAILED]: "toastSendFailed",
+        [SEND_OUTCOME.TIMEOUT]: "toastSendTimeout",
+    });
+
+    // ─── Undo Send ────────────────────────────────────────────────────────────
+
+    /**
+     * The Undo link in Gmail's "Message sent" (or "Send scheduled") notice.
+     * Read as the send is confirmed, while that notice is the one showing,
+     * so a later notice's Undo ("Conversation archived · Undo") is never
+     * mistaken for it.  Null when the notice has none.
+     */
+    function findUndoSendLink() {
+        for (const bar of SAB.selectors.queryAll("notificationBar")) {
+            if (SAB.notifications.isOwn(bar) || !isSendNotice(bar)) continue;
+            const link = [
+                ...bar.querySelectorAll('[role="link"], [role="button"], a'),
+            ].find(
+                (el) =>
+                    el.id === "link_undo" ||
+                    SAB.locales.matchesLabel(el.textContent, "undo"),
+            );
+            if (link) return link;
+        }
+        return null;
+    }
+
+    function isSendNotice(bar) {
+        return (
+            SAB.locales.containsLabel(bar.textContent, "messageSent") ||
+            SAB.locales.containsLabel(bar.textContent, "sendScheduled")
+        );
+    }
+
+    /**
+     * Calls `onUndo` once if the user undoes the send whose notice holds
+     * `undoLink` (see findUndoSendLink()) — by clicking that link, or via
+     * Gmail's own shortcut, which turns that same notice into "Sending
+     * undone".  Stops by itself once the configured Undo Send period is
+     * over; returns a function that stops it earlier.  Without a link there
+     * is nothing to watch.
+     *
+     * @param {Element|null} undoLink
+     * @param {Function}     onUndo
+     * @returns {Function} stop
+     */
+    function watchUndoSend(undoLink, onUndo) {
+        if (!undoLink) {
+            LOG("watchUndoSend: the notice has no Undo link, not watching");
+            return () => {};
+        }
+        const bar = SAB.selectors.closest("notificationBar", undoLink);
+        let stopped = false;
+        // Whether the bar last showed this send's notice; "Sending undone"
+        // only counts straight after it.
+        let showingNotice = true;
+
+        function stop() {
+            if (stopped) return;
+            stopped = true;
+            unwatch();
+            document.removeEventListener("click", onClick, true);
+            clearTimeout(stopTimer);
+        }
+
+        function fire() {
+            if (stopped) return;
+            LOG("watchUndoSend: send was undone");
+            stop();
+            onUndo();
+        }
+
+        // Capture phase: Gmail removes the notification as it handles the
+        // click, so by the bubble phase the link may no longer be in the DOM.
+        function onClick(e) {
+            if (undoLink.contains(e.target)) fire();
+        }
+
+        const unwatch = watchPage(() => {
+            if (!bar || !bar.isConnected) {
+                stop();
+            } else if (isSendNotice(bar)) {
+                showingNotice = undoLink.isConnected;
+            } else if (
+                showingNotice &&
+                SAB.locales.containsLabel(bar.textContent, "sendUndone")
+            ) {
+                fire();
+            } else if (bar.textContent.trim()) {
+                showingNotice = false;
+            }
+        });
+        document.addEventListener("click", onClick, true);
+
+        const stopTimer = setTimeout(stop, settings.undoWindowSec * 1000);
+        return stop;
+    }
+
+    /**
+     * How long to wait after a send is confirmed before acting on it: until
+     * Gmail's Undo Send period is over, and at least settings.archiveDelayMs.
+     */
+    function undoWaitMs() {
+        return Math.max(settings.archiveDelayMs, settings.undoWindowSec * 1000);
+    }
+
+    /**
+     * Runs post-send action `request` on `thread` once Gmail's Undo Send
+     * period has passed, unless the user undoes first.  Once the action has
+     * run, offerUndo() lets the user reverse it.
+     *
+     * @param {object|null} thread
+     * @param {object}      request
+     * @param {string}      [historyId]  SAB.history entry to keep up to date.
+     * @param {Function}    [onDone]     Called with true once the action has
+     *     run, or false if it was undone first or failed.
+     * @param {Element}     [undoLink]   The Undo link of the send's notice
+     *     (see findUndoSendLink()); without one, an Undo goes unnoticed.
+     */
+    function runAfterUndoWindow(
+        thread,
+        request,
+        historyId,
+        onDone,
+        undoLink = null,
+    ) {
+        const waitMs = undoWaitMs();
+
+        LOG(`runAfterUndoWindow: ${request.id} in ${waitMs}ms unless undone`);
+
+        watchUndoSend(undoLink, () => {
+            LOG("runAfterUndoWindow: undone before acting, skipping");
+            clearTimeout(actionTimer);
+            SAB.history.update(historyId, { outcome: HISTORY.UNDONE });
+            if (onDone) onDone(false);
+        });
+
+        const actionTimer = setTimeout(() => {
+            runThreadAction(thread, request, (ok) => {
+                if (ok) offerUndo(thread, request, historyId);
+                SAB.history.update(historyId, {
+                    outcome: ok ? HISTORY.DONE : HISTORY.ACTION_FAILED,
+                });
+                if (onDone) onDone(ok);
+            });
+        }, waitMs);
+    }
+
+    /**
+     * Tells the user that post-send action `request` has run on `thread`,
+     * with an Undo that puts the conversation back in the inbox.  `thread`
+     * is the one captured when the message was sent, so Undo still finds it
+     * after the user has moved on to another view.
+     */
+    function offerUndo(thread, request, historyId) {
+        const action = POST_SEND_ACTIONS[request.id];
+        if (!action.done) return;
+        SAB.notifications.show(
+            SAB.locales.message(
+                action.done,
+                action.labelArgs && action.labelArgs(request),
+            ),
+            {
+                severity: SEVERITY.SUCCESS,
+                actions: [
+                    {
+                        label: SAB.locales.message("toastUndo"),
+                        onClick: () =>
+                            restoreToInbox(thread, request, historyId),
+                    },
+                ],
+            },
+        );
+    }
+
+    // ─── History ──────────────────────────────────────────────────────────────
+
+    const HISTORY = SAB.history.OUTCOME;
+
+    /**
+     * Subject of the message in `composeEl` — or, for a reply whose subject
+     * field is hidden, of the conversation `thread` open behind it.
+     */
+    function composeSubject(composeEl, thread) {
+        const box = SAB.selectors.query("subjectBox", composeEl);
+        if (box && box.value.trim()) return box.value.trim();
+        if (!thread) return "";
+        const heading = SAB.selectors
+            .queryAll("threadHeading")
+            .find((el) => el.offsetParent !== null);
+        return heading ? heading.textContent.trim() : "";
+    }
+
+    /**
+     * Adds an entry for a send-then-act attempt to SAB.history and returns
+     * its id.  `path` is "native" when Gmail's own Send & Archive button
+     * handles everything, "fallback" when we send and act ourselves.
+     */
+    function recordAttempt(composeEl, thread, request, path) {
+        return SAB.history.add({
+            account,
+            subject: composeSubject(composeEl, thread),
+            threadId: thread && (thread.legacyThreadId || thread.token),
+            thread,
+            request,
+            label: actionLabel(request),
+            path,
+            leavesInbox: !!POST_SEND_ACTIONS[request.id].leavesInbox,
+        });
+    }
+
+    /** Runs a history entry's failed post-send action again. */
+    function retryFromHistory(entry) {
+        LOG("retryFromHistory:", entry);
+        runThreadAction(entry.thread, entry.request, (ok) => {
+            if (ok) offerUndo(entry.thread, entry.request, entry.id);
+            SAB.history.update(entry.id, {
+                outcome: ok ? HISTORY.DONE : HISTORY.ACTION_FAILED,
+            });
+        });
+    }
+
+    /**
+     * Moves `thread` back to the inbox by reverting post-send action
+     * `request`, which took it out, then records that on history entry
+     * `historyId` and tells the user how it went.
+     */
+    function restoreToInbox(thread, request, historyId) {
+        LOG("restoreToInbox:", thread, request);
+        revertThreadAction(thread, request, (ok) => {
+            if (ok) {
+                SAB.history.update(historyId, {
+                    outcome: HISTORY.MOVED_TO_INBOX,
+                });
+            }
+            SAB.notifications.show(
+                SAB.locales.message(
+                    ok ? "toastRestored" : "toastMoveToInboxFailed",
+                ),
+                { severity: ok ? SEVERITY.SUCCESS : SEVERITY.ERROR },
+            );
+        });
+    }
+
+    /** Brings a history entry's conversation back to the inbox. */
+    function moveBackToInbox(entry) {
+        restoreToInbox(entry.thread, entry.request, entry.id);
+    }
+
+    // ─── Schedule Send ────────────────────────────────────────────────────────
+
+    /**
+     * Finds the arrow next to Gmail's Send button in `composeEl` that opens
+     * the "Schedule send" menu, or null.
+     */
+    function findSendOptionsButton(composeEl) {
+        return (
+            SAB.selectors
+                .queryAll("sendOptionsButton", composeEl)
+                .find(
+                    (el) =>
+                        !el.hasAttribute(MENU_BTN_ATTR) &&
+                        el.offsetParent !== null,
+                ) || null
+        );
+    }
+
+    /**
+     * Opens Gmail's "Schedule send" dialog for `composeEl` through the menu
+     * under its Send button, then calls `onDone(true|false)`.  Picking the
+     * time is left to the user, in Gmail's own dialog.
+     */
+    function openScheduleDialog(composeEl, onDone) {
+        const optionsBtn = findSendOptionsButton(composeEl);
+        if (!optionsBtn) {
+            LOG("openScheduleDialog: send options button not found");
+            onDone(false);
+            return;
+        }
+        LOG("openScheduleDialog: opening send options", optionsBtn);
+        simulateClick(optionsBtn);
+        clickMenuItem(menuItemTarget({ menu: "scheduleSend" }), onDone);
+    }
+
+    // ─── Rules ────────────────────────────────────────────────────────────────
+
+    /** Every address in the To, Cc and Bcc fields of `composeEl`. */
+    function composeRecipients(composeEl) {
+        const addressRe = new RegExp(EMAIL_RE.source, "g");
+        const addresses = SAB.selectors
+            .queryAll("recipient", composeEl)
+            .flatMap(
+                (el) =>
+                    (
+                        el.getAttribute("email") ||
+                        el.getAttribute("data-hovercard-id") ||
+                        el.value ||
+                        ""
+                    ).match(addressRe) || [],
+            );
+        return [...new Set(addresses)];
+    }
+
+    /**
+     * Labels of `thread` as far as the page tells: the label view it was
+     * opened from ("#label/Clients/…") and, while it is on screen, the
+     * label chips beside its subject.
+     */
+    function threadLabels(thread) {
+        if (!thread) return [];
+        const labels = [];
+        const fromView = thread.hash && thread.hash.match(/^#label\/([^/]+)\//);
+        if (fromView) {
+            try {
+                labels.push(
+                    decodeURIComponent(fromView[1].replace(/\+/g, " ")),
+                );
+            } catch (err) {
+                // Not a label name Gmail would write.
+            }
+        }
+        if (isThreadDisplayed(thread)) {
+            for (const chip of SAB.selectors.queryAll("threadLabel")) {
+                labels.push(
+                    chip.getAttribute("title") || chip.textContent.trim(),
+                );
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * The user's rule that applies to `composeEl` as it stands, or null
+     * (see SAB.settings.findRule()).
+     */
+    function composeRule(composeEl) {
+        if (!settings.rules.length) return null;
+        const thread = captureThread(composeEl);
+        return SAB.settings.findRule(settings.rules, {
+            recipients: composeRecipients(composeEl),
+            labels: threadLabels(thread),
+            subject: composeSubject(composeEl, thread),
+        });
+    }
+
+    /**
+     * Re-checks the rules for `composeEl` and shows the verdict on its
+     * button: hidden or greyed out when a rule excludes the message.
+     */
+    function applyRules(composeEl) {
+        const btn = composeEl.querySelector(`[${BTN_ATTR}]`);
+        if (!btn) return;
+        const rule = composeRule(composeEl);
+        const effect =
+            rule && rule.effect !== "sendAndArchive" ? rule.effect : null;
+        if (effect === btn.getAttribute(RULE_ATTR)) return;
+
+        LOG(`rules: button ${effect || "shown"}`, rule);
+        if (effect) btn.setAttribute(RULE_ATTR, effect);
+        else btn.removeAttribute(RULE_ATTR);
+        updateButton(btn);
+    }
+
+    /**
+     * True when a rule makes Gmail's plain Send — the button or Ctrl+Enter
+     * — send and archive in `composeEl`.
+     */
+    function sendIsSendAndArchive(composeEl) {
+        if (!settings.enabled) return false;
+        const rule = composeRule(composeEl);
+        return !!rule && rule.effect === "sendAndArchive";
+    }
+
+    /** True for Gmail's Send shortcut, Ctrl+Enter (⌘+Enter on a Mac). */
+    function isGmailSendKey(e) {
+        return (
+            e.key === "Enter" &&
+            (e.ctrlKey || e.metaKey) &&
+            !e.shiftKey &&
+            !e.altKey
+        );
+    }
+
+    // ─── Button Injection ─────────────────────────────────────────────────────
+
+    /**
+     * Builds and returns the main split-button DOM element ("Send & Archive"
+     * or whichever post-send action is the current default).
+     */
+    function buildButton(sendBtn) {
+        const btn = document.createElement("div");
+
+        // Copy Gmail's button base classes so the button is styled identically.
+        // The extra `sab-btn` class is our own hook for CSS overrides.
+        btn.className =
+            (sendBtn.className || "").replace(/\baoO\b/, "").trim() +
+            " aoO sab-btn";
+
+        btn.setAttribute("role", "button");
+        btn.setAttribute("tabindex", "1");
+        btn.setAttribute(BTN_ATTR, "true");
+        updateButton(btn);
+
+        return btn;
+    }
+
+    /**
+     * Builds the split-button arrow that opens the post-send action menu.
+     * It borrows Gmail's button classes like the main button, minus `aoO`
+     * so it is never mistaken for a Send button.
+     */
+    function buildMenuButton(sendBtn) {
+        const arrow = document.createElement("div");
+        const label = SAB.locales.message("menuButtonLabel");
+
+        arrow.className =
+            (sendBtn.className || "").replace(/\baoO\b/, "").trim() +
+            " sab-menu-btn";
+
+        arrow.setAttribute("role", "button");
+        arrow.setAttribute("tabindex", "1");
+        arrow.setAttribute(MENU_BTN_ATTR, "true");
+        arrow.setAttribute("aria-haspopup", "menu");
+        arrow.setAttribute("aria-expanded", "false");
+        arrow.setAttribute("aria-label", label);
+        arrow.setAttribute("data-tooltip", label);
+        arrow.hidden = !settings.enabled;
+
+        return arrow;
+    }
+
+    /**
+     * Applies the current settings to an injected button: label and tooltip
+     * of the default post-send action (the tooltip advertises the configured
+     * shortcut) and visibility of the button and its menu arrow — both
+     * hidden or disabled too while a rule says so (see applyRules()).
+     */
+    function updateButton(btn) {
+        const actionId = settings.postSendAction;
+        const label = actionLabel({ id: actionId });
+        const shortcut = SAB.settings.formatShortcut(settings.shortcut);
+        const rule = btn.getAttribute(RULE_ATTR);
+        const hidden = !settings.enabled || rule === "hide";
+        const disabled = String(rule === "disable");
+
+        btn.textContent = label;
+        btn.setAttribute("aria-label", label);
+        btn.setAttribute(
+            "data-tooltip",
+            rule === "disable"
+                ? SAB.locales.message("buttonTooltipRuleDisabled")
+                : SAB.locales.message(
+                      POST_SEND_ACTIONS[actionId].tooltip,
+                      shortcut,
+                  ),
+        );
+        btn.setAttribute("aria-disabled", disabled);
+        btn.hidden = hidden;
+
+        const arrow = btn.nextElementSibling;
+        if (arrow && arrow.hasAttribute(MENU_BTN_ATTR)) {
+            arrow.setAttribute("aria-disabled", disabled);
+            arrow.hidden = hidden;
+        }
+    }
+
+    // ─── Action Menu ──────────────────────────────────────────────────────────
+
+    /**
+     * The action menu or label picker currently open, if any — only one at a
+     * time, anchored to a split-button arrow.
+     */
+    let openPopover = null;
+
+    function closePopover() {
+        if (!openPopover) return;
+        const { el, anchor, onOutsideClick } = openPopover;
+        openPopover = null;
+        el.remove();
+        anchor.setAttribute("aria-expanded", "false");
+        document.removeEventListener("mousedown", onOutsideClick, true);
+    }
+
+    /**
+     * Shows `el` just above `anchor` (popup composes sit at the bottom of the
+     * viewport, so popovers open upwards), replacing any popover already
+     * open.  A mousedown anywhere else closes it.
+     */
+    function showPopover(el, anchor) {
+        closePopover();
+
+        function onOutsideClick(e) {
+            if (!el.contains(e.target) && !anchor.contains(e.target)) {
+                closePopover();
+            }
+        }
+        document.addEventListener("mousedown", onOutsideClick, true);
+
+        document.body.appendChild(el);
+        const rect = anchor.getBoundingClientRect();
+        el.style.left = `${Math.max(8, rect.right - el.offsetWidth)}px`;
+        el.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+
+        openPopover = { el, anchor, onOutsideClick };
+        anchor.setAttribute("aria-expanded", "true");
+    }
+
+    /**
+     * Opens the post-send action menu above `arrow` and calls
+     * `onPick(request)` when the user chooses an entry — straight away for
+     * plain actions, after the action's `choose()` step for parameterised
+     * ones.  The last entry schedules the send and archives, as
+     * `{id: "archive", schedule: true}`.  Supports arrow keys, Home/End, Enter/Space to choose and
+     * Escape/Tab to close.
+     */
+    function openActionMenu(arrow, onPick) {
+        const menu = document.createElement("div");
+        menu.className = "sab-menu";
+        menu.setAttribute("role", "menu");
+        menu.setAttribute("aria-label", SAB.locales.message("menuButtonLabel"));
+
+        const [plain, parameterised] = [false, true].map((chooses) =>
+            Object.keys(POST_SEND_ACTIONS).filter(
+                (actionId) => !!POST_SEND_ACTIONS[actionId].choose === chooses,
+            ),
+        );
+
+        for (const actionId of plain) {
+            const item = document.createElement("div");
+            item.className = "sab-menu-item";
+            item.setAttribute("role", "menuitemradio");
+            item.setAttribute(
+                "aria-checked",
+                String(actionId === settings.postSendAction),
+            );
+            item.tabIndex = -1;
+            item.dataset.action = actionId;
+            item.textContent = actionLabel({ id: actionId });
+            menu.appendChild(item);
+        }
+
+        const addSeparator = () => {
+            const separator = document.createElement("div");
+            separator.className = "sab-menu-separator";
+            separator.setAttribute("role", "separator");
+            menu.appendChild(separator);
+        };
+
+        if (parameterised.length) addSeparator();
+
+        for (const actionId of parameterised) {
+            const item = document.createElement("div");
+            item.className = "sab-menu-item";
+            item.setAttribute("role", "menuitem");
+            item.setAttribute("aria-haspopup", "dialog");
+            item.tabIndex = -1;
+            item.dataset.action = actionId;
+            item.textContent = SAB.locales.message(
+                POST_SEND_ACTIONS[actionId].menuLabel,
+            );
+            menu.appendChild(item);
+        }
+
+        // Scheduling goes through Gmail's own dialog, so it gets no picker.
+        addSeparator();
+        const scheduleItem = document.createElement("div");
+        scheduleItem.className = "sab-menu-item";
+        scheduleItem.setAttribute("role", "menuitem");
+        scheduleItem.setAttribute("aria-haspopup", "dialog");
+        scheduleItem.tabIndex = -1;
+        scheduleItem.dataset.action = "archive";
+        scheduleItem.dataset.schedule = "true";
+        scheduleItem.textContent = SAB.locales.message("menuItemScheduleSend");
+        menu.appendChild(scheduleItem);
+
+        function pick(item) {
+            const actionId = item.dataset.action;
+            const { choose } = POST_SEND_ACTIONS[actionId];
+            closePopover();
+            if (item.dataset.schedule) onPick({ id: actionId, schedule: true });
+            else if (choose) choose(arrow, onPick);
+            else onPick({ id: actionId });
+        }
+
+        menu.addEventListener("click", (e) => {
+            const item = e.target.closest("[data-action]");
+            if (item) pick(item);
+        });
+
+        menu.addEventListener("keydown", (e) => {
+            const items = [...menu.querySelectorAll("[data-action]")];
+            const index = items.indexOf(document.activeElement);
+            const focusAt = (i) =>
+                items[(i + items.length) % items.length].focus();
+
+            if (e.key === "ArrowDown") focusAt(index + 1);
+            else if (e.key === "ArrowUp") focusAt(index - 1);
+            else if (e.key === "Home") focusAt(0);
+            else if (e.key === "End") focusAt(items.length - 1);
+            else if ((e.key === "Enter" || e.key === " ") && index >= 0) {
+                pick(items[index]);
+            } else if (e.key === "Escape" || e.key === "Tab") {
+                closePopover();
+                arrow.focus();
+            } else return;
+            e.preventDefault();
+            e.stopPropagation();
+        });
 
-        // Fade out after 5 seconds then remove.
-        setTimeout(() => {
-            toast.style.opacity = "0";
-            setTimeout(() => toast.remove(), 400);
-        }, 5000);
+        showPopover(menu, arrow);
+        (
+            menu.querySelector('[aria-checked="true"]') || menu.firstChild
+        ).focus();
     }
 
-    // ─── Archive Logic ────────────────────────────────────────────────────────
+    // ─── Label Picker ─────────────────────────────────────────────────────────
 
     /**
-     * Finds Gmail's native Send & Archive button within a compose element,
-     * if one exists (Gmail renders it in inline/thread composes but not in
-     * popup composes).  Returns the element or null.
-     *
-     * We check visibility so we can tell whether Gmail actually shows it or
-     * is just keeping it in the DOM in a hidden state.
+     * Names of the user's labels, read from the label links in Gmail's left
+     * navigation (`#label/Clients`, `#label/Clients%2FAcme`, …), sorted.
+     * Nested labels keep their full "Parent/Child" path, which is also how
+     * Gmail's "Move to" menu shows them.
      */
-    function findNativeSendAndArchiveButton(composeEl) {
-        // Gmail's inline compose button says "Send and archive" (lowercase, "and"
-        // not "&").  Handle both variants for resilience.
-        const candidates = composeEl.querySelectorAll(
-            '[data-tooltip^="Send & Archive"], [data-tooltip^="Send and archive"],' +
-                '[aria-label^="Send & Archive"], [aria-label^="Send and archive"]',
-        );
-        for (const el of candidates) {
-            if (el.hasAttribute(BTN_ATTR)) continue;
-            return el;
+    function readGmailLabels() {
+        const names = new Set();
+        for (const link of SAB.selectors.queryAll("labelLink")) {
+            const encoded = link.getAttribute("href").split("#label/")[1];
+            try {
+                names.add(decodeURIComponent(encoded.replace(/\+/g, " ")));
+            } catch (err) {
+                LOG(`readGmailLabels: skipping malformed link ${encoded}`);
+            }
         }
-        return null;
+        return [...names].sort((a, b) => a.localeCompare(b));
+    }
+
+    /** Moves `name` to the front of the saved recent-labels list. */
+    function rememberLabel(name) {
+        SAB.settings.save(
+            {
+                recentLabels: [
+                    name,
+                    ...settings.recentLabels.filter((label) => label !== name),
+                ],
+            },
+            account,
+        );
     }
 
+    /** Sequence number for the picker's element ids (ARIA references). */
+    let pickerCount = 0;
+
     /**
-     * Archives the currently displayed conversation by clicking Gmail's own
-     * Archive toolbar button.
+     * Opens the Send & Move to label picker above `anchor`: a search box
+     * filtering the user's labels, with recently used ones pinned on top.
+     * Calls `onChosen({id: "moveTo", label})` once a label is picked.
      *
-     * Gmail may not have finished rendering the conversation view right after
-     * a send completes, so we retry up to `retriesLeft` times (300 ms apart,
-     * ~2.4 s total) before giving up silently.  No keyboard-shortcut fallback
-     * is used.
-     */
-    function archiveCurrentConversation(retriesLeft = 8) {
-        LOG(`archiveCurrentConversation: attempt ${9 - retriesLeft} of 8`);
-        // Gmail renders the Archive button in the conversation toolbar.
-        // The tooltip text can include the keyboard shortcut, e.g. "Archive (y)",
-        // so we use prefix/contains matching in addition to exact matching.
-        const archiveBtn =
-            document.querySelector('[data-tooltip="Archive"]') ||
-            document.querySelector('[data-tooltip^="Archive ("]') ||
-            document.querySelector('[aria-label="Archive"]') ||
-            document.querySelector('[aria-label^="Archive"]') ||
-            document.querySelector('button[title="Archive"]') ||
-            // Broad scan: any role=button whose tooltip or label starts with "Archive".
-            [...document.querySelectorAll('[role="button"]')].find(
-                (el) =>
-                    (el.getAttribute("data-tooltip") || "").startsWith(
-                        "Archive",
-                    ) ||
-                    (el.getAttribute("aria-label") || "").startsWith("Archive"),
-            );
+     * The search box is an ARIA combobox driving a listbox, so focus stays
+     * in it while Up/Down move the highlighted option, Enter picks it and
+     * Escape closes the picker.
+     */
+    function openLabelPicker(anchor, onChosen) {
+        const idPrefix = `sab-picker-${++pickerCount}`;
+        const recent = settings.recentLabels;
+        const others = readGmailLabels().filter(
+            (name) => !recent.includes(name),
+        );
 
-        if (archiveBtn) {
-            LOG(
-                "archiveCurrentConversation: found archive button, clicking",
-                archiveBtn,
+        const picker = document.createElement("div");
+        picker.className = "sab-menu sab-picker";
+        picker.setAttribute("role", "dialog");
+        picker.setAttribute("aria-label", SAB.locales.message("pickerTitle"));
+
+        const search = document.createElement("input");
+        search.type = "text";
+        search.className = "sab-picker-search";
+        search.placeholder = SAB.locales.message("pickerSearch");
+        search.setAttribute("role", "combobox");
+        search.setAttribute("aria-label", SAB.locales.message("pickerSearch"));
+        search.setAttribute("aria-autocomplete", "list");
+        search.setAttribute("aria-expanded", "true");
+        search.setAttribute("aria-controls", `${idPrefix}-list`);
+
+        const list = document.createElement("div");
+        list.id = `${idPrefix}-list`;
+        list.className = "sab-picker-list";
+        list.setAttribute("role", "listbox");
+
+        picker.append(search, list);
+
+        let options = [];
+        let active = -1;
+
+        function setActive(index) {
+            active = index;
+            options.forEach((option, i) =>
+                option.setAttribute("aria-selected", String(i === index)),
             );
-            simulateClick(archiveBtn);
-            return;
+            if (options[index]) {
+                search.setAttribute("aria-activedescendant", options[index].id);
+                options[index].scrollIntoView({ block: "nearest" });
+            } else {
+                search.removeAttribute("aria-activedescendant");
+            }
         }
 
-        LOG(
-            `archiveCurrentConversation: archive button not found (retries left: ${retriesLeft})`,
-        );
-        // Not found yet — Gmail may still be transitioning to the thread view.
-        if (retriesLeft > 0) {
-            setTimeout(() => archiveCurrentConversation(retriesLeft - 1), 300);
-            return;
+        function addGroup(title, names) {
+            if (!names.length) return;
+            const group = document.createElement("div");
+            group.setAttribute("role", "group");
+            group.setAttribute("aria-label", title);
+
+            const heading = document.createElement("div");
+            heading.className = "sab-picker-heading";
+            heading.setAttribute("aria-hidden", "true");
+            heading.textContent = title;
+            group.appendChild(heading);
+
+            for (const name of names) {
+                const option = document.createElement("div");
+                option.className = "sab-menu-item";
+                option.id = `${idPrefix}-option-${options.length}`;
+                option.setAttribute("role", "option");
+                option.dataset.label = name;
+                option.textContent = name;
+                group.appendChild(option);
+                options.push(option);
+            }
+            list.appendChild(group);
         }
 
-        // All retries exhausted — email was sent but archive couldn't be triggered.
-        LOG("archiveCurrentConversation: giving up, showing toast");
-        showToast(
-            "Send & Archive: email sent, but the Archive button wasn't found. Please archive manually.",
-        );
-    }
+        function render() {
+            const query = search.value.trim().toLowerCase();
+            const matches = (name) => name.toLowerCase().includes(query);
 
-    /**
-     * Dispatches a realistic mouse event sequence on `el` so that Gmail's
-     * event handlers respond.  Gmail ignores bare `.click()` calls on toolbar
-     * buttons because it listens on `mousedown` and also checks that events
-     * are trusted-looking bubbling events rather than synthetic no-ops.
-     */
-    function simulateClick(el) {
-        for (const type of ["mousedown", "mouseup", "click"]) {
-            el.dispatchEvent(
-                new MouseEvent(type, {
-                    bubbles: true,
-                    cancelable: true,
-                    view: window,
-                    buttons: 1,
-                }),
+            list.replaceChildren();
+            options = [];
+            addGroup(
+                SAB.locales.message("pickerRecent"),
+                recent.filter(matches),
             );
+            addGroup(SAB.locales.message("pickerAll"), others.filter(matches));
+
+            if (!options.length) {
+                const empty = document.createElement("div");
+                empty.className = "sab-picker-empty";
+                empty.textContent = SAB.locales.message("pickerEmpty");
+                list.appendChild(empty);
+            }
+            setActive(options.length ? 0 : -1);
         }
-    }
 
-    /**
-     * Watches `composeEl` for removal from the DOM and calls `onRemoved` once
-     * when it disappears (i.e. after Gmail closes the compose window post-send).
-     *
-     * Using a callback instead of a shared flag means multiple compose windows
-     * can each have their own independent archive lifecycle — no risk of one
-     * window's send cancelling another window's pending archive.
-     *
-     * @param {Element}  composeEl  - The compose container to watch.
-     * @param {Function} onRemoved  - Called exactly once when composeEl leaves the DOM.
-     */
-    function watchComposeForRemoval(composeEl, onRemoved) {
-        // Observe at document.body so we catch removal of composeEl *or any of
-        // its ancestors* (Gmail sometimes tears down a whole parent container).
-        // Instead of chasing which specific node was removed, we simply check
-        // whether composeEl is still in the document after any childList change.
-        LOG("watchComposeForRemoval: watching for compose removal", composeEl);
-        const removalObserver = new MutationObserver(() => {
-            if (!document.contains(composeEl)) {
-                LOG(
-                    "watchComposeForRemoval: compose removed from DOM, triggering archive",
-                );
-                removalObserver.disconnect();
-                onRemoved();
+        function choose(name) {
+            LOG(`label picker: "${name}" chosen`);
+            closePopover();
+            rememberLabel(name);
+            onChosen({ id: "moveTo", label: name });
+        }
+
+        search.addEventListener("input", render);
+
+        search.addEventListener("keydown", (e) => {
+            const count = options.length;
+            if (e.key === "ArrowDown" && count) setActive((active + 1) % count);
+            else if (e.key === "ArrowUp" && count) {
+                setActive((active - 1 + count) % count);
+            } else if (e.key === "Enter" && options[active]) {
+                choose(options[active].dataset.label);
+            } else if (e.key === "Escape") {
+                closePopover();
+                anchor.focus();
+            } else {
+                // Keep Gmail's single-key shortcuts out of the search box.
+                e.stopPropagation();
+                return;
             }
+            e.preventDefault();
+            e.stopPropagation();
         });
 
-        removalObserver.observe(document.body, {
-            childList: true,
-            subtree: true,
+        list.addEventListener("click", (e) => {
+            const option = e.target.closest("[data-label]");
+            if (option) choose(option.dataset.label);
         });
+
+        render();
+        showPopover(picker, anchor);
+        search.focus();
     }
 
-    // ─── Button Injection ─────────────────────────────────────────────────────
+    // ─── Snooze Picker ────────────────────────────────────────────────────────
 
     /**
-     * Builds and returns the "Send & Archive" button DOM element.
+     * Presets offered by the Send & Snooze picker, in order.  Each name is
+     * both the locales.js key of Gmail's matching Snooze menu entry and the
+     * _locales message for our own button.
      */
-    function buildButton(sendBtn) {
-        const btn = document.createElement("div");
+    const SNOOZE_PRESETS = [
+        "snoozeLaterToday",
+        "snoozeTomorrow",
+        "snoozeNextWeek",
+    ];
+
+    /** Formats `date` the way a datetime-local input wants it. */
+    function toDateTimeLocal(date) {
+        const pad = (n) => String(n).padStart(2, "0");
+        return (
+            `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+        );
+    }
 
-        // Copy Gmail's button base classes so the button is styled identically.
-        // The extra `sab-btn` class is our own hook for CSS overrides.
-        btn.className =
-            (sendBtn.className || "").replace(/\baoO\b/, "").trim() +
-            " aoO sab-btn";
+    /**
+     * Opens the Send & Snooze picker above `anchor`: Gmail's presets plus a
+     * custom date and time, which must lie in the future.  Calls
+     * `onChosen({id: "snooze", preset})` or `onChosen({id: "snooze", until})`
+     * with `until` as a timestamp.  Up/Down move between the presets and
+     * Escape closes the picker.
+     */
+    function openSnoozePicker(anchor, onChosen) {
+        const title = SAB.locales.message("snoozeTitle");
+
+        const picker = document.createElement("div");
+        picker.className = "sab-menu sab-picker sab-snooze";
+        picker.setAttribute("role", "dialog");
+        picker.setAttribute("aria-label", title);
+
+        const heading = document.createElement("div");
+        heading.className = "sab-picker-heading";
+        heading.setAttribute("aria-hidden", "true");
+        heading.textContent = title;
+        picker.appendChild(heading);
+
+        function choose(request) {
+            LOG("snooze picker: chosen", request);
+            closePopover();
+            onChosen(request);
+        }
 
-        btn.setAttribute("role", "button");
-        btn.setAttribute("tabindex", "1");
-        btn.setAttribute(BTN_ATTR, "true");
-        btn.setAttribute("aria-label", "Send & Archive");
-        btn.setAttribute(
-            "data-tooltip",
-            "Send this message and archive the conversation (Ctrl+Shift+Enter)",
-        );
+        const presetButtons = SNOOZE_PRESETS.map((preset) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "sab-menu-item";
+            button.textContent = SAB.locales.message(preset);
+            button.addEventListener("click", () =>
+                choose({ id: "snooze", preset }),
+            );
+            picker.appendChild(button);
+            return button;
+        });
 
-        btn.textContent = "Send & Archive";
+        // ── Custom date and time (defaults to tomorrow, 8:00) ─────────────────
+        const form = document.createElement("form");
+        form.className = "sab-snooze-custom";
+
+        const input = document.createElement("input");
+        input.type = "datetime-local";
+        input.required = true;
+        input.min = toDateTimeLocal(new Date());
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        tomorrow.setHours(8, 0, 0, 0);
+        input.value = toDateTimeLocal(tomorrow);
+
+        const label = document.createElement("label");
+        label.textContent = SAB.locales.message("snoozeCustom");
+        label.appendChild(input);
+
+        const submit = document.createElement("button");
+        submit.type = "submit";
+        submit.className = "sab-snooze-submit";
+        submit.textContent = SAB.locales.message("snoozeSubmit");
+
+        form.append(label, submit);
+        picker.appendChild(form);
+
+        input.addEventListener("input", () => input.setCustomValidity(""));
+        form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            const until = new Date(input.value).getTime();
+            if (!(until > Date.now())) {
+                input.setCustomValidity(SAB.locales.message("snoozeInPast"));
+                input.reportValidity();
+                return;
+            }
+            choose({ id: "snooze", until });
+        });
 
-        return btn;
+        picker.addEventListener("keydown", (e) => {
+            const index = presetButtons.indexOf(document.activeElement);
+            const count = presetButtons.length;
+
+            if (e.key === "Escape") {
+                closePopover();
+                anchor.focus();
+            } else if (index >= 0 && e.key === "ArrowDown") {
+                presetButtons[(index + 1) % count].focus();
+            } else if (index >= 0 && e.key === "ArrowUp") {
+                presetButtons[(index - 1 + count) % count].focus();
+            } else {
+                // Keep Gmail's single-key shortcuts out of the picker.
+                e.stopPropagation();
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        });
+
+        showPopover(picker, anchor);
+        presetButtons[0].focus();
     }
 
     /**
-     * Core send-and-archive action, shared by both the button click and the
-     * Ctrl+Shift+Enter keyboard shortcut.
+     * Core send-then-act action, shared by the button click, the action menu
+     * and the Ctrl+Shift+Enter keyboard shortcut — and by Gmail's own Send
+     * when a rule says so.  A rule hiding or disabling the button for the
+     * message stops it instead.
+     *
+     * A request with `schedule: true` opens Gmail's "Schedule send" dialog
+     * instead of sending, and acts once Gmail confirms the scheduled send.
+     *
+     * @param {object} [request]  `{id}` naming a POST_SEND_ACTIONS entry plus
+     *                            its parameters; defaults to the action
+     *                            currently on the main button.
      */
-    function triggerSendAndArchive(composeEl, sendBtn) {
-        LOG("triggerSendAndArchive: invoked");
+    function triggerSendAndArchive(
+        composeEl,
+        sendBtn,
+        request = { id: settings.postSendAction },
+    ) {
+        LOG(`triggerSendAndArchive: invoked (${request.id})`);
+
+        // Checked now, as the message is sent — not as it was at injection.
+        const rule = composeRule(composeEl);
+        if (rule && rule.effect !== "sendAndArchive") {
+            LOG(`triggerSendAndArchive: a rule says "${rule.effect}"`, rule);
+            applyRules(composeEl);
+            SAB.notifications.show(
+                SAB.locales.message("toastRuleExcluded", actionLabel(request)),
+                { severity: SEVERITY.INFO },
+            );
+            return;
+        }
 
         // ── Preferred path ────────────────────────────────────────────────────
-        const nativeBtn = findNativeSendAndArchiveButton(composeEl);
+        // Gmail only has a native button for the archive action.
+        const nativeBtn =
+            request.id === "archive" &&
+            !request.schedule &&
+            findNativeSendAndArchiveButton(composeEl);
         if (nativeBtn) {
             LOG(
                 "triggerSendAndArchive: using native Send & Archive button",
                 nativeBtn,
             );
+            const nativeId = recordAttempt(
+                composeEl,
+                captureThread(composeEl),
+                request,
+                "native",
+            );
+            // Gmail archives by itself; watch only to log how it went.
+            setComposeState(composeEl, COMPOSE_STATE.SENDING);
+            watchSendOutcome(composeEl, (outcome) => {
+                SAB.history.update(nativeId, {
+                    outcome:
+                        outcome === SEND_OUTCOME.SENT ? HISTORY.DONE : outcome,
+                });
+                if (outcome === SEND_OUTCOME.SENT) {
+                    setComposeState(composeEl, COMPOSE_STATE.ARCHIVED);
+                } else {
+                    composeNotSent(composeEl, outcome);
+                }
+            });
             simulateClick(nativeBtn);
             return;
         }
         LOG(
-            "triggerSendAndArchive: no native button, using fallback send+archive",
+            `triggerSendAndArchive: no native button, using fallback send+${request.id}`,
         );
 
         // ── Fallback path ─────────────────────────────────────────────────────
-        watchComposeForRemoval(composeEl, () => {
+        // Capture the thread now: by the time the compose closes the user may
+        // have opened another conversation or sent from a second popup.
+        const thread = captureThread(composeEl);
+        LOG("triggerSendAndArchive: target thread", thread);
+        const historyId = recordAttempt(composeEl, thread, request, "fallback");
+
+        function onOutcome(outcome) {
+            // A send this window saw confirmed, or that Gmail confirms in
+            // the main tab instead, keeps the hand-over for when the window
+            // closes.
+            if (
+                IS_STANDALONE_COMPOSE &&
+                outcome !== SEND_OUTCOME.SENT &&
+                outcome !== SEND_OUTCOME.TIMEOUT
+            ) {
+                sendToBackground("sab:cancelRelay");
+            }
+            SAB.history.update(historyId, {
+                outcome: outcome === SEND_OUTCOME.SENT ? HISTORY.SENT : outcome,
+            });
+            if (outcome !== SEND_OUTCOME.SENT) {
+                LOG(`triggerSendAndArchive: send ${outcome}, not acting`);
+                composeNotSent(composeEl, outcome);
+                // A discard or a cancelled schedule is the user's own
+                // choice — nothing to report.
+                if (SEND_FAILURE_TOASTS[outcome]) {
+                    SAB.notifications.show(
+                        SAB.locales.message(
+                            SEND_FAILURE_TOASTS[outcome],
+                            actionLabel(request),
+                        ),
+                        { severity: SEVERITY.ERROR },
+                    );
+                }
+                return;
+            }
             LOG(
-                "triggerSendAndArchive: compose closed, waiting 2s then archiving",
+                `triggerSendAndArchive: message ${request.schedule ? "scheduled" : "sent"}`,
             );
-            setTimeout(archiveCurrentConversation, 2000);
-        });
+            if (!thread && !request.schedule) {
+                forgetCompose(composeEl, "new conversation");
+                settleNewMessage(request, historyId, findUndoSendLink());
+                return;
+            }
+            if (IS_STANDALONE_COMPOSE) {
+                forgetCompose(composeEl, "action relayed to the Gmail tab");
+                return;
+            }
+            if (!thread) {
+                // A scheduled new message has no conversation to act on yet.
+                SAB.history.update(historyId, { outcome: HISTORY.DONE });
+                SAB.notifications.show(
+                    SAB.locales.message("toastScheduledNewMessage"),
+                    { severity: SEVERITY.INFO },
+                );
+                forgetCompose(composeEl, "nothing to act on");
+                return;
+            }
+            setComposeState(composeEl, COMPOSE_STATE.CLOSED);
+            runAfterUndoWindow(
+                thread,
+                request,
+                historyId,
+                (ok) => {
+                    if (ok) setComposeState(composeEl, COMPOSE_STATE.ARCHIVED);
+                    else forgetCompose(composeEl, "post-send action not run");
+                },
+                // Read now: later notices replace this one.
+                findUndoSendLink(),
+            );
+        }
+
+        // A standalone compose window won't live to see the send confirmed:
+        // hand the action over now, and take it back if the send fails.
+        function watch() {
+            if (IS_STANDALONE_COMPOSE && thread) {
+                relayToOriginTab(thread, request, historyId);
+            }
+            setComposeState(composeEl, COMPOSE_STATE.SENDING);
+            watchSendOutcome(composeEl, onOutcome, !!request.schedule);
+        }
+
+        if (request.schedule) {
+            openScheduleDialog(composeEl, (opened) => {
+                if (!opened) {
+                    SAB.notifications.show(
+                        SAB.locales.message(
+                            "toastScheduleUnavailable",
+                            actionLabel(request),
+                        ),
+                        { severity: SEVERITY.ERROR },
+                    );
+                    return;
+                }
+                watch();
+            });
+            return;
+        }
 
+        watch();
         LOG("triggerSendAndArchive: clicking Send button", sendBtn);
         setTimeout(() => sendBtn.click(), 0);
     }
 
     /**
-     * Injects a "Send & Archive" button next to the Send button in `composeEl`.
+     * Injects the "Send & Archive" split button (main button plus action menu
+     * arrow) next to the Send button in `composeEl`.
      * Safe to call multiple times — idempotent thanks to `PROCESSED_ATTR`.
      */
     function injectButton(composeEl) {
+        if (!settings.enabled) return;
         if (composeEl.hasAttribute(PROCESSED_ATTR)) return;
 
         const sendBtn = findSendButton(composeEl);
@@ -390,25 +2628,73 @@
         LOG("injecting button into compose window", composeEl);
         // Mark as processed before mutating the DOM to prevent re-entrancy.
         composeEl.setAttribute(PROCESSED_ATTR, "true");
+        setComposeState(composeEl, COMPOSE_STATE.INJECTED);
 
         const btn = buildButton(sendBtn);
+        const arrow = buildMenuButton(sendBtn);
 
-        // ── Keyboard shortcut: Ctrl+Shift+Enter on the compose window ─────────
-        // Gmail's own Ctrl+Enter sends; we intercept Ctrl+Shift+Enter before it
-        // reaches Gmail and trigger send+archive instead.
+        // ── Keyboard shortcut (Ctrl+Shift+Enter by default) ───────────────────
+        // Gmail's own Ctrl+Enter sends; we intercept the configured shortcut
+        // before it reaches Gmail and trigger send+archive instead.  The
+        // binding is read on every keydown so option changes apply live.
         composeEl.addEventListener(
             "keydown",
             (e) => {
-                if (e.key === "Enter" && e.ctrlKey && e.shiftKey) {
+                if (!settings.enabled) return;
+                if (SAB.settings.matchesShortcut(e, settings.shortcut)) {
                     e.preventDefault();
                     e.stopImmediatePropagation();
-                    LOG("Ctrl+Shift+Enter intercepted");
+                    LOG(
+                        `${SAB.settings.formatShortcut(settings.shortcut)} intercepted`,
+                    );
                     triggerSendAndArchive(composeEl, sendBtn);
+                } else if (
+                    isGmailSendKey(e) &&
+                    sendIsSendAndArchive(composeEl)
+                ) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                    LOG("rules: Ctrl+Enter sends and archives");
+                    triggerSendAndArchive(composeEl, sendBtn, {
+                        id: "archive",
+                    });
                 }
             },
             true,
         ); // capture phase so we beat Gmail's own listeners
 
+        // ── Rules ─────────────────────────────────────────────────────────────
+        // A "send and archive" rule takes over Gmail's own Send button.
+        // Gmail acts on mousedown/mouseup as well as click, so all three are
+        // held back; our own sendBtn.click() is untrusted and passes.
+        const interceptSend = (e) => {
+            if (!e.isTrusted || !sendBtn.contains(e.target)) return;
+            if (!sendIsSendAndArchive(composeEl)) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (e.type !== "click") return;
+            LOG("rules: Send sends and archives");
+            triggerSendAndArchive(composeEl, sendBtn, { id: "archive" });
+        };
+        for (const type of ["mousedown", "mouseup", "click"]) {
+            composeEl.addEventListener(type, interceptSend, true);
+        }
+
+        // Re-check as recipients and subject take shape; recipient chips
+        // are committed when their field loses focus.
+        let ruleTimer = null;
+        const recheckRules = () => {
+            clearTimeout(ruleTimer);
+            ruleTimer = setTimeout(() => applyRules(composeEl), 300);
+        };
+        composeEl.addEventListener("input", recheckRules);
+        composeEl.addEventListener("focusout", recheckRules);
+
+        // Keyboard commands act on whichever compose was focused last.
+        composeEl.addEventListener("focusin", () => {
+            lastFocusedCompose = composeEl;
+        });
+
         // ── Keyboard support on the button itself (Tab then Enter/Space) ──────
         btn.addEventListener("keydown", (e) => {
             if (e.key === "Enter" || e.key === " ") {
@@ -424,29 +2710,368 @@
             triggerSendAndArchive(composeEl, sendBtn);
         });
 
-        // Insert immediately after the Send button.
+        // ── Action menu arrow ─────────────────────────────────────────────────
+        // Picking an entry sends with that action and, for plain actions sent
+        // straight away, makes it the main button's default from now on
+        // (saved, so every compose follows).
+        const onPick = (request) => {
+            LOG(`action menu: ${request.id} picked`);
+            if (
+                !request.schedule &&
+                SAB.settings.POST_SEND_ACTIONS.includes(request.id) &&
+                request.id !== settings.postSendAction
+            ) {
+                SAB.settings.save({ postSendAction: request.id }, account);
+            }
+            triggerSendAndArchive(composeEl, sendBtn, request);
+        };
+
+        const arrowDisabled = () =>
+            arrow.getAttribute("aria-disabled") === "true";
+
+        arrow.addEventListener("keydown", (e) => {
+            if (arrowDisabled()) return;
+            if (e.key === "Enter" || e.key === " " || e.key === "ArrowDown") {
+                e.preventDefault();
+                e.stopPropagation();
+                openActionMenu(arrow, onPick);
+            }
+        });
+
+        arrow.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (arrowDisabled()) return;
+            if (openPopover && openPopover.anchor === arrow) closePopover();
+            else openActionMenu(arrow, onPick);
+        });
+
+        // Insert immediately after the Send button, arrow last.
         sendBtn.insertAdjacentElement("afterend", btn);
+        btn.insertAdjacentElement("afterend", arrow);
+        applyRules(composeEl);
     }
 
     /**
-     * Attempts to inject the button up to `maxRetries` times, backing off by
-     * 300 ms between attempts.  This handles cases where the compose DOM is not
-     * fully rendered when the MutationObserver fires.
+     * Attempts to inject the button up to `retriesLeft` more times, backing
+     * off by `injectRetryMs` between attempts.  This handles cases where the
+     * compose DOM is not fully rendered when the MutationObserver fires.
      */
-    function tryInjectWithRetry(composeEl, retriesLeft = 6) {
-        if (!document.contains(composeEl)) return;
+    function tryInjectWithRetry(
+        composeEl,
+        retriesLeft = settings.injectRetries,
+    ) {
+        if (!document.contains(composeEl)) return; // see sweepComposes()
         if (composeEl.hasAttribute(PROCESSED_ATTR)) return;
 
         if (findSendButton(composeEl)) {
             injectButton(composeEl);
+            // Switched off meanwhile: the scan after switching back on will
+            // pick it up again.
+            if (!settings.enabled) {
+                forgetCompose(composeEl, "extension disabled");
+            }
         } else if (retriesLeft > 0) {
             setTimeout(
                 () => tryInjectWithRetry(composeEl, retriesLeft - 1),
-                300,
+                settings.injectRetryMs,
+            );
+        } else {
+            forgetCompose(composeEl, "its Send button never appeared");
+        }
+    }
+
+    // ─── Selector Health ──────────────────────────────────────────────────────
+
+    /** How often the selector health check runs while Gmail is open. */
+    const HEALTH_CHECK_MS = 60000;
+
+    /** Status per selector at the previous check, to log only changes. */
+    let lastHealth = {};
+
+    /**
+     * Checks every entry of the selector registry against the page and
+     * returns a diagnostics report (see SAB.selectors.check()) with enough
+     * context for a bug report.  Entries that degraded since the last check
+     * are logged, and the report is kept in chrome.storage.local so the
+     * toolbar popup can show it even from another tab.
+     */
+    function runHealthCheck() {
+        // Judged from the URL, not from selectors that might be broken.
+        const context = {
+            compose: /[?&]compose=/.test(location.hash),
+            thread: THREAD_HASH_RE.test(location.hash.split("?")[0]),
+        };
+        const report = {
+            extensionVersion: chrome.runtime.getManifest().version,
+            gmailLanguage: `${document.documentElement.lang || "?"} (using ${SAB.locales.detectLanguage()})`,
+            checkedAt: new Date().toISOString(),
+            context,
+            ...SAB.selectors.check(context),
+        };
+
+        for (const { name, status } of report.entries) {
+            if (
+                status !== lastHealth[name] &&
+                /missing|fallback/.test(status)
+            ) {
+                LOG(`selector health: ${name} is ${status}`);
+            }
+            lastHealth[name] = status;
+        }
+
+        try {
+            chrome.storage.local.set({ diagnostics: report });
+        } catch (err) {
+            // The extension was reloaded and this content script orphaned.
+        }
+        return report;
+    }
+
+    // ─── Keyboard Commands ────────────────────────────────────────────────────
+
+    /** The popup compose that last had focus, for keyboard commands. */
+    let lastFocusedCompose = null;
+
+    /**
+     * The compose a keyboard command should send: the one focused most
+     * recently if it is still open and not already sending, otherwise the
+     * only such one.  Null when
+     * there is none, or several and none was focused.
+     */
+    function commandTargetCompose() {
+        const open = openComposes();
+        if (open.includes(lastFocusedCompose)) return lastFocusedCompose;
+        return open.length === 1 ? open[0] : null;
+    }
+
+    /**
+     * Runs a chrome.commands command relayed by background.js — e.g.
+     * "send-and-archive" (see SAB.settings.COMMANDS) — on the target compose.
+     */
+    function runCommand(command) {
+        const actionId = SAB.settings.COMMANDS[command];
+        if (!actionId || !settings.enabled) return;
+
+        const request = { id: actionId };
+        const composeEl = commandTargetCompose();
+        const sendBtn = composeEl && findSendButton(composeEl);
+        if (!sendBtn) {
+            LOG(`runCommand(${command}): no compose to send`);
+            SAB.notifications.show(
+                SAB.locales.message("toastNoCompose", actionLabel(request)),
+                { severity: SEVERITY.WARNING },
+            );
+            return;
+        }
+        LOG(`runCommand(${command}): sending`, composeEl);
+        triggerSendAndArchive(composeEl, sendBtn, request);
+    }
+
+    /**
+     * Where the clashing bindings already warned about are kept, as
+     * `<shortcut>=<action>` strings.
+     */
+    const WARNED_CONFLICTS_KEY = "warnedShortcutConflicts";
+
+    /**
+     * Warns when a shortcut of ours is also one of Gmail's — the keyboard
+     * commands from chrome://extensions/shortcuts, which Chrome hands to us
+     * before Gmail sees them, and the shortcut inside composes, which we
+     * intercept.  Each clashing binding is warned about once, not on every
+     * page load.
+     */
+    function checkShortcutConflicts() {
+        sendToBackground("sab:getCommands", {}, (ok, response) => {
+            const bindings = (ok ? response.commands : [])
+                .filter(({ name }) => SAB.settings.COMMANDS[name])
+                .map(({ name, shortcut }) => ({
+                    shortcut: SAB.settings.parseCommandShortcut(shortcut),
+                    request: { id: SAB.settings.COMMANDS[name] },
+                }));
+            bindings.push({
+                shortcut: settings.shortcut,
+                request: { id: settings.postSendAction },
+            });
+
+            const conflicts = bindings.filter(({ shortcut }) =>
+                SAB.settings.gmailShortcutConflict(shortcut),
+            );
+            for (const { shortcut } of conflicts) {
+                LOG(
+                    `shortcut conflict: ${SAB.settings.formatShortcut(shortcut)} is also Gmail's "${SAB.settings.gmailShortcutConflict(shortcut)}"`,
+                );
+            }
+            const ids = conflicts.map(
+                ({ shortcut, request }) =>
+                    `${SAB.settings.formatShortcut(shortcut)}=${request.id}`,
             );
+            chrome.storage.local.get(WARNED_CONFLICTS_KEY).then((stored) => {
+                const warned = stored[WARNED_CONFLICTS_KEY] || [];
+                // Only current clashes are kept, so one that is resolved
+                // and comes back is warned about again.
+                chrome.storage.local.set({ [WARNED_CONFLICTS_KEY]: ids });
+                const fresh = conflicts.find(
+                    (_, i) => !warned.includes(ids[i]),
+                );
+                if (!fresh) return;
+                SAB.notifications.show(
+                    SAB.locales.message("toastShortcutConflict", [
+                        SAB.settings.formatShortcut(fresh.shortcut),
+                        actionLabel(fresh.request),
+                    ]),
+                    { severity: SEVERITY.WARNING },
+                );
+            });
+        });
+    }
+
+    // ─── Standalone Compose Relay ─────────────────────────────────────────────
+
+    /**
+     * Sends a message to background.js, e.g. about this window's compose,
+     * and calls `onResponse(ok, response)`.
+     */
+    function sendToBackground(type, extra, onResponse) {
+        try {
+            chrome.runtime.sendMessage({ type, ...extra }, (response) => {
+                const ok = !chrome.runtime.lastError && response && response.ok;
+                if (!ok) {
+                    LOG(
+                        `${type} failed:`,
+                        chrome.runtime.lastError
+                            ? chrome.runtime.lastError.message
+                            : response && response.error,
+                    );
+                }
+                if (onResponse) onResponse(ok, response);
+            });
+        } catch (err) {
+            // The extension was reloaded and this content script orphaned.
+            LOG(`${type} failed: ${err.message}`);
+            if (onResponse) onResponse(false);
+        }
+    }
+
+    /**
+     * Asks background.js to run `request` on `thread` in the Gmail tab this
+     * standalone compose came from, once this window has closed and that
+     * tab has seen the send confirmed (see awaitRelayedSend()); that tab
+     * also keeps history entry `historyId` up to date.  If no such tab is
+     * found the user is told straight away, before the send.
+     */
+    function relayToOriginTab(thread, request, historyId) {
+        LOG("relayToOriginTab: handing over", request, thread);
+        const relay = { thread, request, historyId };
+        sendToBackground("sab:relayAction", relay, (ok) => {
+            if (!ok) {
+                SAB.notifications.show(
+                    SAB.locales.message(
+                        "toastRelayFailed",
+                        actionLabel(request),
+                    ),
+                    { severity: SEVERITY.ERROR },
+                );
+            }
+        });
+    }
+
+    /**
+     * Waits for this tab's own confirmation of a send made in a standalone
+     * compose window: Gmail closes that window and shows its "Message sent"
+     * (or "Send scheduled") notice here.  Calls `onConfirmed(undoLink)`
+     * with the notice's Undo link (see findUndoSendLink()), or `onMissing()`
+     * if no such notice shows within `sendTimeoutMs` — the window was closed
+     * unsent.
+     */
+    function awaitRelayedSend(scheduled, onConfirmed, onMissing) {
+        const confirmation = scheduled ? "sendScheduled" : "messageSent";
+
+        function check() {
+            const confirmed = SAB.selectors
+                .queryAll("notificationBar")
+                .some(
+                    (bar) =>
+                        !SAB.notifications.isOwn(bar) &&
+                        SAB.locales.containsLabel(
+                            bar.textContent,
+                            confirmation,
+                        ),
+                );
+            if (!confirmed) return;
+            unwatch();
+            clearTimeout(timer);
+            onConfirmed(findUndoSendLink());
         }
+
+        const unwatch = watchPage(check);
+        const timer = setTimeout(() => {
+            unwatch();
+            onMissing();
+        }, settings.sendTimeoutMs);
+        // The notice may be up already: the window closes as Gmail sends.
+        check();
     }
 
+    // ─── Messages ─────────────────────────────────────────────────────────────
+
+    /**
+     * Requests from the toolbar popup (the tab's account, a fresh
+     * diagnostics report, or an action on a history entry) and from
+     * background.js (an action relayed from a standalone compose window, or
+     * a keyboard command).
+     */
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message) return false;
+
+        if (message.type === "sab:diagnostics") {
+            sendResponse(runHealthCheck());
+        } else if (message.type === "sab:account") {
+            sendResponse({ account });
+        } else if (message.type === "sab:runRelayedAction") {
+            LOG("relayed action from a standalone compose", message);
+            awaitRelayedSend(
+                !!message.request.schedule,
+                (undoLink) => {
+                    SAB.history.update(message.historyId, {
+                        outcome: HISTORY.SENT,
+                    });
+                    runAfterUndoWindow(
+                        message.thread,
+                        message.request,
+                        message.historyId,
+                        null,
+                        undoLink,
+                    );
+                },
+                () => {
+                    LOG(
+                        "relayed action: the send wasn't confirmed, dropping it",
+                    );
+                    SAB.history.update(message.historyId, {
+                        outcome: SEND_OUTCOME.TIMEOUT,
+                    });
+                },
+            );
+            sendResponse({ ok: true });
+        } else if (message.type === "sab:runCommand") {
+            runCommand(message.command);
+            sendResponse({ ok: true });
+        } else if (message.type === "sab:historyAction") {
+            SAB.history.get(message.entryId).then((entry) => {
+                if (!entry || !entry.thread) {
+                    sendResponse({ ok: false, error: "Unknown conversation" });
+                    return;
+                }
+                if (message.op === "retry") retryFromHistory(entry);
+                else moveBackToInbox(entry);
+                sendResponse({ ok: true });
+            });
+            return true; // responds asynchronously
+        }
+        return false;
+    });
+
     // ─── Scanning ─────────────────────────────────────────────────────────────
 
     /**
@@ -461,13 +3086,27 @@
      */
     function scanAll() {
         scanTimer = null;
-        const dwEls = document.querySelectorAll(".dw");
+        // Gmail may have added or replaced a compose area, and a standalone
+        // compose may just have been found.
+        refreshObserver();
+        // The initial scan runs once settings are in.
+        if (!settingsLoaded || !settings.enabled) return;
+        const dwEls = findComposeAreas();
         LOG(`scanAll: found ${dwEls.length} .dw element(s)`);
         dwEls.forEach((dw) => {
-            findComposeWindows(dw).forEach((composeEl) =>
-                tryInjectWithRetry(composeEl),
-            );
+            findComposeWindows(dw).forEach((composeEl) => {
+                // Tracked composes are injected or on their way there.
+                if (
+                    composes.has(composeEl) ||
+                    composeEl.hasAttribute(PROCESSED_ATTR)
+                ) {
+                    return;
+                }
+                setComposeState(composeEl, COMPOSE_STATE.DETECTED);
+                tryInjectWithRetry(composeEl);
+            });
         });
+        if (IS_STANDALONE_COMPOSE) refreshObserver();
     }
 
     /**
@@ -480,41 +3119,166 @@
         scanTimer = setTimeout(scanAll, delay);
     }
 
-    // ─── MutationObserver ─────────────────────────────────────────────────────
+    // ─── Page Observer ────────────────────────────────────────────────────────
+
+    /**
+     * The one MutationObserver of the content script.  It watches the
+     * compose areas, where composes come and go, and Gmail's notification
+     * bar, whose text reports how a send went — not the whole page, so
+     * Gmail re-rendering the inbox or a conversation costs nothing.  Until
+     * Gmail has rendered a compose area, it watches the body for one.  It is
+     * only re-aimed when a scan runs or a mutation removes what it watches.
+     */
+    const pageObserver = new MutationObserver(onMutations);
+
+    /** Elements pageObserver watches, in observerTargets() order. */
+    let observed = [];
+
+    /** Checks waiting on the page, see watchPage(). */
+    const watchers = new Set();
+
+    /**
+     * Gmail's dialogs open outside the observed elements, so pending checks
+     * also run this often — on one timer, running only while any wait.
+     */
+    const WATCH_POLL_MS = 250;
+    let watchTimer = null;
+
+    /** What pageObserver should watch, as `{el, options}`. */
+    function observerTargets() {
+        if (IS_STANDALONE_COMPOSE) {
+            // The window holds a single compose.  Once it is found, only its
+            // removal matters, not every keystroke typed into it.
+            const composeEl = [...composes.keys()].find(
+                (el) => el.isConnected && el !== document.body,
+            );
+            const el = composeEl ? composeEl.parentElement : document.body;
+            return [{ el, options: { childList: true, subtree: !composeEl } }];
+        }
+        const areas = findComposeAreas();
+        if (!areas.length) {
+            return [
+                {
+                    el: document.body,
+                    options: { childList: true, subtree: true },
+                },
+            ];
+        }
+        const bars = SAB.selectors
+            .queryAll("notificationBar")
+            .filter(
+                (el) =>
+                    !SAB.notifications.isOwn(el) &&
+                    !areas.some((area) => area.contains(el)),
+            );
+        return [
+            ...areas.map((el) => ({
+                el,
+                options: { childList: true, subtree: true },
+            })),
+            // Nested matches are covered by the outermost one.
+            ...bars
+                .filter((el) => !bars.some((o) => o !== el && o.contains(el)))
+                .map((el) => ({
+                    el,
+                    options: {
+                        childList: true,
+                        subtree: true,
+                        characterData: true,
+                    },
+                })),
+        ];
+    }
+
+    /** Points pageObserver at the current targets, if they have changed. */
+    function refreshObserver() {
+        const targets = observerTargets();
+        if (
+            targets.length === observed.length &&
+            targets.every(({ el }, i) => el === observed[i])
+        ) {
+            return;
+        }
+        onMutations(pageObserver.takeRecords());
+        pageObserver.disconnect();
+        targets.forEach(({ el, options }) => pageObserver.observe(el, options));
+        observed = targets.map(({ el }) => el);
+        LOG(`page observer: watching ${observed.length} element(s)`);
+        // A compose area that was replaced took its composes with it.
+        sweepComposes();
+    }
+
+    /**
+     * True when added `node` may be (part of) a new popup compose: it is in
+     * a compose area or holds one (Gmail lazy-loading the whole compose
+     * widget), and isn't inside a compose already tracked — typing adds
+     * nodes too.
+     */
+    function mayAddCompose(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        for (const composeEl of composes.keys()) {
+            if (composeEl.contains(node)) return false;
+        }
+        return (
+            !!getPopupComposeRoot(node) ||
+            !!SAB.selectors.query("composeArea", node)
+        );
+    }
 
     /**
-     * Main observer — watches for new nodes being added anywhere in the body.
-     * When a mutation looks like a popup compose window (ancestor is .dw),
-     * we schedule an injection attempt.
+     * True when removed `node` is or holds an element pageObserver watches,
+     * or a tracked compose — then the observer needs re-aiming.
      */
-    const mainObserver = new MutationObserver((mutations) => {
+    function removesTarget(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return false;
+        return [...observed, ...composes.keys()].some(
+            (el) => el === node || node.contains(el),
+        );
+    }
+
+    function onMutations(mutations) {
         let needsScan = false;
+        let removed = false;
+        let retarget = false;
 
         for (const mut of mutations) {
-            for (const node of mut.addedNodes) {
-                if (node.nodeType !== Node.ELEMENT_NODE) continue;
+            if (mut.removedNodes.length) removed = true;
+            if (!needsScan) needsScan = [...mut.addedNodes].some(mayAddCompose);
+            if (!retarget) retarget = [...mut.removedNodes].some(removesTarget);
+        }
 
-                // Is the added node inside a popup compose area?
-                if (getPopupComposeRoot(node)) {
-                    needsScan = true;
-                    break;
-                }
+        if (removed) sweepComposes();
+        if (retarget) refreshObserver();
+        // Debounced: cancels any already-pending scan and re-schedules.
+        if (needsScan) scheduleScan(300);
+        runWatchers();
+    }
 
-                // Does the added node *contain* a popup compose area (e.g., Gmail
-                // lazy-loaded the whole compose widget)?
-                if (node.querySelector && node.querySelector(".dw")) {
-                    needsScan = true;
-                    break;
-                }
-            }
-            if (needsScan) break;
-        }
+    function runWatchers() {
+        [...watchers].forEach((check) => check());
+    }
 
-        if (needsScan) {
-            // Debounced: cancels any already-pending scan and re-schedules.
-            scheduleScan(300);
+    /**
+     * Runs `check` after every change pageObserver sees and every
+     * WATCH_POLL_MS, until the returned function is called.  Used while a
+     * send's outcome or an Undo is awaited, instead of an observer apiece.
+     *
+     * @param {Function} check
+     * @returns {Function} unwatch
+     */
+    function watchPage(check) {
+        watchers.add(check);
+        if (!watchTimer) {
+            watchTimer = setInterval(runWatchers, WATCH_POLL_MS);
         }
-    });
+        return () => {
+            watchers.delete(check);
+            if (!watchers.size) {
+                clearInterval(watchTimer);
+                watchTimer = null;
+            }
+        };
+    }
 
     // ─── Deferred observer start ───────────────────────────────────────────────
     // We use requestIdleCallback so the browser decides when to start us,
@@ -522,13 +3286,31 @@
     // initial render — we only start watching once the browser is truly idle.
     // A 6 s hard timeout ensures we start even on a very busy tab.
     runWhenIdle(() => {
-        LOG("starting MutationObserver");
-        mainObserver.observe(document.body, { childList: true, subtree: true });
+        LOG("starting page observer");
+        refreshObserver();
+    }, 6000);
+
+    // ─── Periodic Selector Health Check
+    // First check once Gmail has settled, then every HEALTH_CHECK_MS while the
+    // tab is visible (a hidden tab's DOM tells us little).
+    runWhenIdle(() => {
+        runHealthCheck();
+        setInterval(() => {
+            // Re-aim the page observer should Gmail have replaced a compose
+            // area without a mutation we could see.
+            refreshObserver();
+            if (document.visibilityState === "visible") runHealthCheck();
+        }, HEALTH_CHECK_MS);
     }, 6000);
 
     // ─── Initial Scan
+    // Waits for stored settings so a disabled extension never injects, and
+    // the first buttons already carry the user's label and shortcut.
     runWhenIdle(() => {
-        LOG("running initial scan");
-        scheduleScan(0);
+        settingsReady.then(() => {
+            LOG("running initial scan");
+            scheduleScan(0);
+            if (settings.enabled) checkShortcutConflicts();
+        });
     }, 6000);
 })();
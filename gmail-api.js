@@ -0,0 +1,133 @@
+/**
+ * Send & Archive — gmail-api.js
+ *
+ * Minimal Gmail REST API client for the optional API backend.  It knows
+ * nothing about Chrome: the OAuth token source, the base URL and even
+ * `fetch` are passed in, so background.js can hand it chrome.identity while
+ * a test can point it at a local mock server with a fixed token.
+ *
+ * Loaded with importScripts() by the service worker (or require() in Node),
+ * so it publishes itself on the shared `SAB` namespace.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    /** Production endpoint; override `baseUrl` to talk to a mock server. */
+    const DEFAULT_BASE_URL = "https://gmail.googleapis.com/gmail/v1";
+
+    /**
+     * A failed API call.  `status` is the HTTP status, or 0 when no token
+     * could be obtained.
+     */
+    class GmailApiError extends Error {
+        constructor(message, status) {
+            super(message);
+            this.name = "GmailApiError";
+            this.status = status;
+        }
+    }
+
+    /**
+     * Creates a client for the signed-in user's mailbox (`users/me`).
+     *
+     * @param {object}   options
+     * @param {Function} options.getToken         `(interactive) => Promise<string>`
+     *                                            resolving to an OAuth access token.
+     * @param {Function} [options.invalidateToken] `(token) => Promise` — drops a
+     *                                            token the API rejected; the
+     *                                            call is then retried once.
+     * @param {string}   [options.baseUrl]        API root, DEFAULT_BASE_URL by default.
+     * @param {Function} [options.fetch]          fetch() implementation.
+     */
+    function createClient({
+        getToken,
+        invalidateToken = async () => {},
+        baseUrl = DEFAULT_BASE_URL,
+        fetch: fetchImpl = (...args) => fetch(...args),
+    }) {
+        async function request(method, path, body, interactive, retried) {
+            const token = await getToken(interactive);
+            if (!token) throw new GmailApiError("Not signed in", 0);
+
+            const response = await fetchImpl(`${baseUrl}/users/me${path}`, {
+                method,
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    ...(body ? { "Content-Type": "application/json" } : {}),
+                },
+                body: body ? JSON.stringify(body) : undefined,
+            });
+
+            // Cached tokens expire; drop it and try once with a fresh one.
+            if (response.status === 401 && !retried) {
+                await invalidateToken(token);
+                return request(method, path, body, interactive, true);
+            }
+
+            if (!response.ok) {
+                let detail = "";
+                try {
+                    detail = (await response.json()).error.message;
+                } catch (err) {
+                    // Not a JSON error body — the status says enough.
+                }
+                throw new GmailApiError(
+                    `${method} ${path}: ${response.status} ${detail}`.trim(),
+                    response.status,
+                );
+            }
+            return response.json();
+        }
+
+        return {
+            /**
+             * The mailbox's profile (`emailAddress`, …).  Pass
+             * `interactive` to let Chrome show its sign-in/consent prompt.
+             */
+            getProfile(interactive = false) {
+                return request("GET", "/profile", null, interactive, false);
+            },
+
+            /**
+             * Adds and removes labels on every message in a thread, e.g.
+             * `{removeLabelIds: ["INBOX"]}` to archive it.
+             *
+             * @param {string} threadId  Gmail's hex thread id.
+             * @param {{addLabelIds?: string[], removeLabelIds?: string[]}} changes
+             */
+            modifyThread(threadId, { addLabelIds = [], removeLabelIds = [] }) {
+                return request(
+                    "POST",
+                    `/threads/${encodeURIComponent(threadId)}/modify`,
+                    { addLabelIds, removeLabelIds },
+                    false,
+                    false,
+                );
+            },
+
+            /**
+             * Takes a thread out of the Trash, e.g. to undo a delete.
+             *
+             * @param {string} threadId  Gmail's hex thread id.
+             */
+            untrashThread(threadId) {
+                return request(
+                    "POST",
+                    `/threads/${encodeURIComponent(threadId)}/untrash`,
+                    null,
+                    false,
+                    false,
+                );
+            },
+        };
+    }
+
+    SAB.gmailApi = {
+        DEFAULT_BASE_URL,
+        GmailApiError,
+        createClient,
+    };
+})();
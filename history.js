@@ -0,0 +1,209 @@
+/**
+ * Send & Archive — history.js
+ *
+ * Log of every send-then-act attempt, shown in the toolbar popup.  The
+ * content script adds an entry when the user clicks the button and updates
+ * it as the send and the post-send action play out; the popup lists the
+ * entries and offers to retry a failed action or move a conversation back
+ * to the inbox.
+ *
+ * Entries live in chrome.storage.local rather than sync: they describe this
+ * device's activity and would soon outgrow sync storage's quotas.  Each
+ * records the Gmail account it was sent from, and readers ask for one
+ * account's entries.  Loaded as a classic script after settings.js, so it
+ * publishes `SAB.history`.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    /**
+     * Each entry is stored under its own key, `history:<id>`, so tabs
+     * recording sends at the same time never overwrite each other's
+     * entries.
+     */
+    const KEY_PREFIX = "history:";
+
+    /** Oldest entries of an account are dropped beyond this many. */
+    const MAX_ENTRIES = 50;
+
+    /**
+     * Where an entry stands.  A send that didn't go through keeps the
+     * outcome content.js reported for it instead ("blocked", "failed",
+     * "discarded", "cancelled" or "timeout").
+     */
+    const OUTCOME = Object.freeze({
+        /** Waiting for Gmail to confirm the send. */
+        SENDING: "sending",
+        /** Sent; waiting out the Undo Send period before acting. */
+        SENT: "sent",
+        /** Sent, and the post-send action was performed. */
+        DONE: "done",
+        /** Sent, but the post-send action couldn't be performed. */
+        ACTION_FAILED: "actionFailed",
+        /** The send was undone, so the conversation was left (or put back). */
+        UNDONE: "undone",
+        /** Moved back to the inbox from the popup afterwards. */
+        MOVED_TO_INBOX: "movedToInbox",
+    });
+
+    // ─── Storage ──────────────────────────────────────────────────────────────
+
+    /** Writes from this context, chained so each sees the one before. */
+    let pendingWrite = Promise.resolve();
+
+    const keyOf = (id) => KEY_PREFIX + id;
+
+    /** Every stored entry, newest first. */
+    async function read() {
+        const stored = await chrome.storage.local.get(null);
+        return Object.keys(stored)
+            .filter((key) => key.startsWith(KEY_PREFIX))
+            .map((key) => stored[key])
+            .sort((a, b) => b.time - a.time);
+    }
+
+    /**
+     * True when `entry` belongs to `account` (an e-mail address, as
+     * SAB.settings.normalizeAccount() gives it).  Every entry belongs to
+     * "no account", and an entry recorded before the account was known
+     * belongs to every account.
+     */
+    function belongsTo(entry, account) {
+        return !account || !entry.account || entry.account === account;
+    }
+
+    /**
+     * Every entry of `account` (all of them without one), newest first,
+     * including this context's pending writes.
+     *
+     * @param {string} [account]
+     * @returns {Promise<object[]>}
+     */
+    async function load(account) {
+        await pendingWrite;
+        account = SAB.settings.normalizeAccount(account);
+        return (await read()).filter((entry) => belongsTo(entry, account));
+    }
+
+    /**
+     * Runs `change()` after every earlier write from this context has
+     * landed.  Writes from other contexts touch other entries' keys.
+     */
+    function write(change) {
+        pendingWrite = pendingWrite.then(change).catch((err) => {
+            console.log("[SAB] history: write failed:", err.message);
+        });
+        return pendingWrite;
+    }
+
+    /** Unique enough across tabs: a timestamp plus a random suffix. */
+    function newId() {
+        const random = Math.random().toString(36).slice(2, 8);
+        return `${Date.now().toString(36)}-${random}`;
+    }
+
+    /**
+     * Records a new attempt and returns its id straight away, so updates can
+     * follow before the write has finished.
+     *
+     * @param {object} entry  `account`, `subject`, `threadId`, `thread`,
+     *                        `request`, `label`, `path` ("native" or
+     *                        "fallback") and `leavesInbox`; see content.js
+     *                        recordAttempt().
+     * @returns {string}
+     */
+    function add(entry) {
+        const id = newId();
+        const account = SAB.settings.normalizeAccount(entry.account);
+        write(async () => {
+            await chrome.storage.local.set({
+                [keyOf(id)]: {
+                    id,
+                    time: Date.now(),
+                    outcome: OUTCOME.SENDING,
+                    ...entry,
+                    account,
+                },
+            });
+            const dropped = (await read())
+                .filter((other) => other.account === account)
+                .slice(MAX_ENTRIES);
+            if (dropped.length) {
+                await chrome.storage.local.remove(
+                    dropped.map((other) => keyOf(other.id)),
+                );
+            }
+        });
+        return id;
+    }
+
+    /**
+     * Merges `patch` into entry `id`.  A null id (an action that wasn't
+     * recorded) is ignored, and so is an entry dropped or cleared since.
+     *
+     * @returns {Promise}
+     */
+    function update(id, patch) {
+        if (!id) return Promise.resolve();
+        return write(async () => {
+            const entry = await get(id);
+            if (!entry) return;
+            await chrome.storage.local.set({
+                [keyOf(id)]: { ...entry, ...patch },
+            });
+        });
+    }
+
+    /**
+     * The entry with `id`, or null once it has been dropped or cleared.
+     *
+     * @returns {Promise<object|null>}
+     */
+    async function get(id) {
+        const { [keyOf(id)]: entry } = await chrome.storage.local.get(
+            keyOf(id),
+        );
+        return entry || null;
+    }
+
+    /** Forgets every entry of `account` (every entry without one). */
+    function clear(account) {
+        account = SAB.settings.normalizeAccount(account);
+        return write(async () => {
+            const keys = (await read())
+                .filter((entry) => belongsTo(entry, account))
+                .map((entry) => keyOf(entry.id));
+            if (keys.length) await chrome.storage.local.remove(keys);
+        });
+    }
+
+    /**
+     * Calls `callback(entries)` with `account`'s entries whenever the
+     * history changes, from this or any other context.
+     *
+     * @param {Function} callback
+     * @param {string}   [account]
+     */
+    function onChange(callback, account) {
+        chrome.storage.onChanged.addListener((changes, area) => {
+            const changed = Object.keys(changes).some((key) =>
+                key.startsWith(KEY_PREFIX),
+            );
+            if (area === "local" && changed) load(account).then(callback);
+        });
+    }
+
+    SAB.history = {
+        OUTCOME,
+        MAX_ENTRIES,
+        load,
+        add,
+        update,
+        get,
+        clear,
+        onChange,
+    };
+})();
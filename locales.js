@@ -0,0 +1,384 @@
+/**
+ * Send & Archive — locales.js
+ *
+ * Gmail's buttons are identified by their tooltip / aria-label text, which is
+ * translated into the user's Gmail display language.  This file holds a
+ * dictionary of those labels per language and the helpers content.js uses to
+ * match them, so the extension works in non-English Gmail.
+ *
+ * Our *own* strings (button text, toasts) are not here — they come from
+ * chrome.i18n and the _locales/ folder via `SAB.locales.message()`, and
+ * `SAB.locales.localizePage()` applies them to the options page and popup.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    // ─── Gmail Label Dictionary ───────────────────────────────────────────────
+
+    /**
+     * Gmail UI labels by language (primary subtag of <html lang>).  Each key
+     * lists every variant Gmail has been seen to use; matching is
+     * case-insensitive and accepts trailing shortcut hints such as
+     * "Send ‪(Ctrl-Enter)‬" or "Archive (y)".
+     *
+     * To add a language, copy the `en` block and translate each entry exactly
+     * as Gmail displays it.
+     */
+    const GMAIL_LABELS = {
+        en: {
+            send: ["Send"],
+            sendAndArchive: ["Send & Archive", "Send and archive"],
+            archive: ["Archive"],
+            messageSent: ["Message sent"],
+            sendScheduled: ["Send scheduled", "Message scheduled"],
+            sendFailed: ["Couldn't send", "Message not sent", "Sending failed"],
+            draftDiscarded: ["Draft discarded", "Message discarded"],
+            undo: ["Undo"],
+            viewMessage: ["View message"],
+            sendUndone: ["Sending undone", "Undoing"],
+            moveTo: ["Move to"],
+            moveToInbox: ["Move to Inbox"],
+            delete: ["Delete"],
+            markUnread: ["Mark as unread"],
+            moreActions: ["More"],
+            mute: ["Mute"],
+            unmute: ["Unmute"],
+            addStar: ["Add star"],
+            removeStar: ["Remove star"],
+            snooze: ["Snooze"],
+            snoozeLaterToday: ["Later today"],
+            snoozeTomorrow: ["Tomorrow"],
+            snoozeNextWeek: ["Next week"],
+            snoozeCustom: ["Select date and time", "Pick date & time"],
+            snoozeSave: ["Save"],
+            moreSendOptions: ["More send options"],
+            scheduleSend: ["Schedule send"],
+            backToList: ["Back to"],
+            newer: ["Newer"],
+            older: ["Older"],
+        },
+        de: {
+            send: ["Senden"],
+            sendAndArchive: ["Senden und archivieren", "Senden & archivieren"],
+            archive: ["Archivieren"],
+            messageSent: ["Nachricht gesendet"],
+            sendScheduled: ["Senden geplant", "Nachricht geplant"],
+            sendFailed: [
+                "Senden nicht möglich",
+                "Nachricht nicht gesendet",
+                "Senden fehlgeschlagen",
+            ],
+            draftDiscarded: ["Entwurf verworfen", "Nachricht verworfen"],
+            undo: ["Rückgängig"],
+            viewMessage: ["Nachricht ansehen", "Nachricht anzeigen"],
+            sendUndone: [
+                "Senden rückgängig gemacht",
+                "Wird rückgängig gemacht",
+            ],
+            moveTo: ["Verschieben nach"],
+            moveToInbox: ["In den Posteingang verschieben"],
+            delete: ["Löschen"],
+            markUnread: ["Als ungelesen markieren"],
+            moreActions: ["Mehr"],
+            mute: ["Ignorieren"],
+            unmute: ["Nicht mehr ignorieren"],
+            addStar: ["Markierung hinzufügen"],
+            removeStar: ["Markierung entfernen"],
+            snooze: ["Zurückstellen"],
+            snoozeLaterToday: ["Später am Tag", "Heute später"],
+            snoozeTomorrow: ["Morgen"],
+            snoozeNextWeek: ["Nächste Woche"],
+            snoozeCustom: ["Datum und Uhrzeit auswählen"],
+            snoozeSave: ["Speichern"],
+            moreSendOptions: ["Weitere Sendeoptionen"],
+            scheduleSend: ["Senden planen", "Später senden"],
+            backToList: ["Zurück zu", "Zurück"],
+            newer: ["Neuer"],
+            older: ["Älter"],
+        },
+        fr: {
+            send: ["Envoyer"],
+            sendAndArchive: ["Envoyer et archiver", "Envoyer & archiver"],
+            archive: ["Archiver"],
+            messageSent: ["Message envoyé"],
+            sendScheduled: ["Envoi programmé", "Message programmé"],
+            sendFailed: [
+                "Impossible d'envoyer",
+                "Message non envoyé",
+                "Échec de l'envoi",
+            ],
+            draftDiscarded: ["Brouillon supprimé", "Message supprimé"],
+            undo: ["Annuler"],
+            viewMessage: ["Afficher le message"],
+            sendUndone: ["Envoi annulé", "Annulation en cours"],
+            moveTo: ["Déplacer vers"],
+            moveToInbox: ["Déplacer vers la boîte de réception"],
+            delete: ["Supprimer"],
+            markUnread: ["Marquer comme non lu"],
+            moreActions: ["Plus"],
+            mute: ["Ignorer"],
+            unmute: ["Ne plus ignorer"],
+            addStar: ["Activer le suivi"],
+            removeStar: ["Désactiver le suivi"],
+            snooze: ["Mettre en attente", "Répéter"],
+            snoozeLaterToday: ["Plus tard dans la journée"],
+            snoozeTomorrow: ["Demain"],
+            snoozeNextWeek: ["La semaine prochaine", "Semaine prochaine"],
+            snoozeCustom: [
+                "Choisir la date et l'heure",
+                "Sélectionner la date et l'heure",
+            ],
+            snoozeSave: ["Enregistrer"],
+            moreSendOptions: ["Plus d'options d'envoi"],
+            scheduleSend: ["Programmer l'envoi"],
+            backToList: ["Retour à", "Retour"],
+            newer: ["Plus récent"],
+            older: ["Plus ancien"],
+        },
+        es: {
+            send: ["Enviar"],
+            sendAndArchive: ["Enviar y archivar", "Enviar & archivar"],
+            archive: ["Archivar"],
+            messageSent: ["Mensaje enviado"],
+            sendScheduled: ["Envío programado", "Mensaje programado"],
+            sendFailed: [
+                "No se ha podido enviar",
+                "Mensaje no enviado",
+                "Error al enviar",
+            ],
+            draftDiscarded: ["Borrador descartado", "Mensaje descartado"],
+            undo: ["Deshacer"],
+            viewMessage: ["Ver mensaje"],
+            sendUndone: ["Envío deshecho", "Deshaciendo"],
+            moveTo: ["Mover a"],
+            moveToInbox: ["Mover a Recibidos"],
+            delete: ["Eliminar"],
+            markUnread: ["Marcar como no leído"],
+            moreActions: ["Más"],
+            mute: ["Silenciar"],
+            unmute: ["Dejar de silenciar"],
+            addStar: ["Destacar"],
+            removeStar: ["No destacar"],
+            snooze: ["Posponer"],
+            snoozeLaterToday: ["Más tarde", "Hoy, más tarde"],
+            snoozeTomorrow: ["Mañana"],
+            snoozeNextWeek: ["La próxima semana", "Próxima semana"],
+            snoozeCustom: ["Elegir fecha y hora", "Seleccionar fecha y hora"],
+            snoozeSave: ["Guardar"],
+            moreSendOptions: ["Más opciones de envío"],
+            scheduleSend: ["Programar envío"],
+            backToList: ["Volver a", "Volver"],
+            newer: ["Más reciente"],
+            older: ["Más antiguo"],
+        },
+        ja: {
+            send: ["送信"],
+            sendAndArchive: ["送信してアーカイブ", "送信 & アーカイブ"],
+            archive: ["アーカイブ"],
+            messageSent: ["メッセージを送信しました"],
+            sendScheduled: ["送信を予約しました", "送信予定"],
+            sendFailed: ["送信できませんでした", "送信に失敗しました"],
+            draftDiscarded: [
+                "下書きを破棄しました",
+                "メッセージを破棄しました",
+            ],
+            undo: ["元に戻す"],
+            viewMessage: ["メッセージを表示"],
+            sendUndone: ["送信を取り消しました", "元に戻しています"],
+            moveTo: ["移動"],
+            moveToInbox: ["受信トレイに移動"],
+            delete: ["削除"],
+            markUnread: ["未読にする"],
+            moreActions: ["その他"],
+            mute: ["ミュート"],
+            unmute: ["ミュートを解除"],
+            addStar: ["スターを付ける"],
+            removeStar: ["スターを外す"],
+            snooze: ["スヌーズ"],
+            snoozeLaterToday: ["今日中", "今日の後ほど"],
+            snoozeTomorrow: ["明日"],
+            snoozeNextWeek: ["来週"],
+            snoozeCustom: ["日付と時刻を選択"],
+            snoozeSave: ["保存"],
+            moreSendOptions: ["その他の送信オプション"],
+            scheduleSend: ["送信日時を設定"],
+            backToList: ["受信トレイに戻る", "戻る"],
+            newer: ["前へ"],
+            older: ["次へ"],
+        },
+    };
+
+    const FALLBACK_LANGUAGE = "en";
+
+    /**
+     * Labels that begin with another label's text.  A key listed here never
+     * matches text that matches one of its shadowing keys, so "Move to"
+     * leaves "Move to Inbox" alone.
+     */
+    const SHADOWED_BY = {
+        moveTo: ["moveToInbox"],
+    };
+
+    /**
+     * Labels Gmail completes with where they lead ("Back to Inbox", "Back to
+     * Search results"), so isLabel() can only match their start.
+     */
+    const OPEN_ENDED = new Set(["backToList"]);
+
+    // ─── Language Detection ───────────────────────────────────────────────────
+
+    /**
+     * Returns the dictionary key for Gmail's current UI language, taken from
+     * the <html lang> attribute Gmail sets ("de", "fr-CA", "ja", …).  Unknown
+     * or missing languages fall back to English.
+     */
+    function detectLanguage() {
+        const lang = (document.documentElement.lang || "").toLowerCase();
+        const primary = lang.split(/[-_]/)[0];
+        return primary in GMAIL_LABELS ? primary : FALLBACK_LANGUAGE;
+    }
+
+    /**
+     * All label variants for `key` in the current Gmail language, followed by
+     * the English ones (Gmail occasionally leaves a tooltip untranslated).
+     *
+     * @param {string} key  A GMAIL_LABELS entry, e.g. "archive".
+     * @returns {string[]}
+     */
+    function labels(key) {
+        const lang = detectLanguage();
+        const own = GMAIL_LABELS[lang][key] || [];
+        if (lang === FALLBACK_LANGUAGE) return own;
+        return [...own, ...(GMAIL_LABELS[FALLBACK_LANGUAGE][key] || [])];
+    }
+
+    // ─── Matching ─────────────────────────────────────────────────────────────
+
+    /**
+     * True when `text` is `label`, or starts with `label` followed by
+     * something that isn't part of a word — a space, a bracketed shortcut
+     * hint or a bidi mark.  So "Send (Ctrl-Enter)" matches "Send", but
+     * "Sender" doesn't, and neither does "送信してアーカイブ" for "送信".
+     */
+    function startsWithLabel(text, label) {
+        const t = text.trim().toLowerCase();
+        const l = label.toLowerCase();
+        if (!t.startsWith(l)) return false;
+        return t.length === l.length || !/[\p{L}\p{N}]/u.test(t[l.length]);
+    }
+
+    /**
+     * True when `text` matches any variant of the label `key` (and none of
+     * the longer labels in SHADOWED_BY that start the same way).
+     */
+    function matchesLabel(text, key) {
+        if (!text) return false;
+        if (
+            (SHADOWED_BY[key] || []).some((other) => matchesLabel(text, other))
+        ) {
+            return false;
+        }
+        return labels(key).some((label) => startsWithLabel(text, label));
+    }
+
+    /**
+     * True when `text` is exactly a variant of the label `key`, give or take
+     * a bracketed shortcut hint and bidi marks at the end — so "More" matches
+     * "More" but not "More options", "More labels" or "More send options".
+     * Keys in OPEN_ENDED fall back to matchesLabel().
+     */
+    function isLabel(text, key) {
+        if (!text) return false;
+        if (OPEN_ENDED.has(key)) return matchesLabel(text, key);
+        const t = text
+            .replace(/[\u200e\u200f\u202a-\u202e]/g, "")
+            .replace(/\s*\([^()]*\)\s*$/, "")
+            .trim()
+            .toLowerCase();
+        return labels(key).some((label) => t === label.toLowerCase());
+    }
+
+    /**
+     * True when any variant of label `key` appears anywhere in `text`.  Used
+     * for Gmail's notification bar, whose text runs straight into its action
+     * links ("Message sentUndoView message"), so prefix matching won't do.
+     */
+    function containsLabel(text, key) {
+        if (!text) return false;
+        const t = text.toLowerCase();
+        return labels(key).some((label) => t.includes(label.toLowerCase()));
+    }
+
+    /**
+     * Builds a CSS selector matching elements whose `attrs` start with any
+     * variant of label `key`, ignoring case (e.g. `[aria-label^="Senden" i]`).
+     * CSS can't express the word boundary, so this is a coarse pre-filter —
+     * confirm candidates with `matchesLabel()`.
+     *
+     * @param {string[]} attrs  Attribute names, e.g. ["data-tooltip", "aria-label"].
+     * @param {string}   key    A GMAIL_LABELS entry.
+     */
+    function labelSelector(attrs, key) {
+        const parts = [];
+        for (const attr of attrs) {
+            for (const label of labels(key)) {
+                const value = label.replace(/["\\]/g, "\\$&");
+                parts.push(`[${attr}^="${value}" i]`);
+            }
+        }
+        return parts.join(", ");
+    }
+
+    // ─── Extension Strings ────────────────────────────────────────────────────
+
+    /**
+     * Localized extension string from _locales/, falling back to `name`
+     * itself so a missing key is obvious rather than blank.
+     *
+     * @param {string}          name
+     * @param {string|string[]} [substitutions]
+     */
+    function message(name, substitutions) {
+        return chrome.i18n.getMessage(name, substitutions) || name;
+    }
+
+    /** Attributes localizePage() fills from `data-i18n-<attribute>`. */
+    const LOCALIZED_ATTRIBUTES = ["aria-label", "title"];
+
+    /**
+     * Translates the static text of an extension page (or of a <template>'s
+     * content): each `data-i18n` element's text becomes that message, and
+     * each `data-i18n-aria-label` or `data-i18n-title` sets the attribute.
+     * The English in the HTML only shows while a message is missing.
+     *
+     * @param {Document|DocumentFragment} [root]
+     */
+    function localizePage(root = document) {
+        root.querySelectorAll("[data-i18n]").forEach((el) => {
+            el.textContent = message(el.dataset.i18n);
+        });
+        for (const attr of LOCALIZED_ATTRIBUTES) {
+            root.querySelectorAll(`[data-i18n-${attr}]`).forEach((el) => {
+                el.setAttribute(
+                    attr,
+                    message(el.getAttribute(`data-i18n-${attr}`)),
+                );
+            });
+        }
+    }
+
+    SAB.locales = {
+        GMAIL_LABELS,
+        detectLanguage,
+        labels,
+        matchesLabel,
+        isLabel,
+        containsLabel,
+        labelSelector,
+        message,
+        localizePage,
+    };
+})();
@@ -0,0 +1,297 @@
+/**
+ * Send & Archive — notifications.js
+ *
+ * The messages the extension shows at the bottom of Gmail ("Conversation
+ * archived", "Archive button not found", …).  Notifications queue up rather
+ * than replace each other, carry an optional action button plus a close
+ * button, and are announced through a pair of ARIA live regions: politely
+ * for information, assertively for warnings and errors.  Escape dismisses
+ * the notification that has focus; hovering or focusing one keeps it up.
+ *
+ * All styling lives in styles.css.  Each notification is marked with the
+ * theme Gmail is showing, so the colours follow a dark theme the same way
+ * Gmail's own notification bar does.  Loaded as a classic content script
+ * after locales.js and selectors.js, so it publishes
+ * `SAB.notifications`.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    const SEVERITY = Object.freeze({
+        INFO: "info",
+        SUCCESS: "success",
+        WARNING: "warning",
+        ERROR: "error",
+    });
+
+    /** Severities that interrupt a screen reader instead of waiting. */
+    const ASSERTIVE = new Set([SEVERITY.WARNING, SEVERITY.ERROR]);
+
+    /** How long a notification stays up — longer when it offers an action. */
+    const DURATION_MS = Object.freeze({
+        info: 5000,
+        success: 5000,
+        warning: 8000,
+        error: 8000,
+    });
+    const ACTION_DURATION_MS = 10000;
+
+    /** Matches the fade-out transition in styles.css. */
+    const FADE_MS = 200;
+
+    /**
+     * Notifications waiting beyond this many drop the oldest plain one;
+     * those with actions are never dropped.
+     */
+    const MAX_QUEUED = 5;
+
+    /** Waiting notifications, oldest first. */
+    const queue = [];
+
+    /** The notification on screen, or null. */
+    let current = null;
+
+    let root = null;
+
+    // ─── Container ────────────────────────────────────────────────────────────
+
+    /**
+     * Region holding the visible notification and both live regions.  Live
+     * regions must already be in the page when their text changes to be
+     * announced, so they are created once and kept.
+     */
+    function container() {
+        if (root && root.isConnected) return root;
+        root = document.createElement("div");
+        root.className = "sab-notifications";
+        root.append(liveRegion("polite"), liveRegion("assertive"));
+        document.body.appendChild(root);
+        return root;
+    }
+
+    function liveRegion(politeness) {
+        const region = document.createElement("div");
+        region.className = "sab-live-region";
+        region.setAttribute(
+            "role",
+            politeness === "assertive" ? "alert" : "status",
+        );
+        region.setAttribute("aria-live", politeness);
+        region.setAttribute("aria-atomic", "true");
+        region.dataset.politeness = politeness;
+        return region;
+    }
+
+    /**
+     * Reads `text` out through the live region for `severity`.  Cleared
+     * first and set a moment later, so the same message twice is announced
+     * twice.
+     */
+    function announce(text, severity) {
+        const politeness = ASSERTIVE.has(severity) ? "assertive" : "polite";
+        const region = container().querySelector(
+            `.sab-live-region[data-politeness="${politeness}"]`,
+        );
+        region.textContent = "";
+        setTimeout(() => (region.textContent = text), 100);
+    }
+
+    /**
+     * True for elements of ours — so content.js never mistakes one of our
+     * notifications (or a live region, which has role="alert") for Gmail's
+     * notification bar.
+     */
+    function isOwn(el) {
+        return !!(el && el.closest && el.closest(".sab-notifications"));
+    }
+
+    // ─── Theme ────────────────────────────────────────────────────────────────
+
+    /**
+     * "dark" when Gmail shows a dark theme, else "light".  Gmail doesn't say
+     * which theme is on, but a dark one turns the main area's text light;
+     * without a main area, the browser's colour scheme decides.
+     */
+    function gmailTheme() {
+        const main = SAB.selectors.query("mainArea");
+        const rgb = main && getComputedStyle(main).color.match(/\d+/g);
+        if (!rgb) {
+            return matchMedia("(prefers-color-scheme: dark)").matches
+                ? "dark"
+                : "light";
+        }
+        const [r, g, b] = rgb.map(Number);
+        return 0.299 * r + 0.587 * g + 0.114 * b > 128 ? "dark" : "light";
+    }
+
+    // ─── Display ──────────────────────────────────────────────────────────────
+
+    function actionButton(className, label, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    /** Builds the element for queued notification `note`. */
+    function render(note) {
+        const el = document.createElement("div");
+        el.className = "sab-notification";
+        el.dataset.severity = note.severity;
+        el.dataset.theme = gmailTheme();
+        // Announced through the live regions; this is just a labelled group
+        // holding the buttons.
+        el.setAttribute("role", "group");
+        el.setAttribute("aria-label", note.message);
+
+        const text = document.createElement("span");
+        text.className = "sab-notification-message";
+        text.textContent = note.message;
+        el.appendChild(text);
+
+        for (const action of note.actions) {
+            el.appendChild(
+                actionButton("sab-notification-action", action.label, () => {
+                    dismiss(note);
+                    action.onClick();
+                }),
+            );
+        }
+
+        const close = actionButton("sab-notification-close", "×", () =>
+            dismiss(note),
+        );
+        close.setAttribute(
+            "aria-label",
+            SAB.locales.message("notificationDismiss"),
+        );
+        el.appendChild(close);
+
+        el.addEventListener("keydown", (e) => {
+            if (e.key !== "Escape") return;
+            // Gmail would otherwise close the compose or the conversation.
+            e.preventDefault();
+            e.stopPropagation();
+            dismiss(note);
+        });
+
+        // Keep it up while the user is reading it or reaching for a button.
+        const pause = () => clearTimeout(note.timer);
+        const resume = () => {
+            if (note.leaving) return;
+            if (el.matches(":hover") || el.contains(document.activeElement))
+                return;
+            startTimer(note);
+        };
+        el.addEventListener("mouseenter", pause);
+        el.addEventListener("focusin", pause);
+        el.addEventListener("mouseleave", resume);
+        el.addEventListener("focusout", () => setTimeout(resume, 0));
+
+        return el;
+    }
+
+    function startTimer(note) {
+        clearTimeout(note.timer);
+        note.timer = setTimeout(
+            () => dismiss(note),
+            note.actions.length
+                ? Math.max(ACTION_DURATION_MS, note.duration)
+                : note.duration,
+        );
+    }
+
+    /** Puts the next queued notification on screen, if nothing is showing. */
+    function showNext() {
+        if (current || !queue.length) return;
+        current = queue.shift();
+        current.el = render(current);
+        container().appendChild(current.el);
+        announce(current.message, current.severity);
+        startTimer(current);
+    }
+
+    /** Takes `note` down (or out of the queue) and moves on to the next. */
+    function dismiss(note) {
+        const waiting = queue.indexOf(note);
+        if (waiting >= 0) {
+            queue.splice(waiting, 1);
+            return;
+        }
+        if (note !== current || note.leaving) return;
+        clearTimeout(note.timer);
+        note.leaving = true;
+
+        const { el } = note;
+        // Hand focus back to the page rather than losing it with the element.
+        if (el.contains(document.activeElement)) document.activeElement.blur();
+        el.classList.add("sab-leaving");
+        // The next one waits for the fade, so two are never on screen.
+        setTimeout(() => {
+            el.remove();
+            current = null;
+            showNext();
+        }, FADE_MS);
+    }
+
+    // ─── Public API ───────────────────────────────────────────────────────────
+
+    /**
+     * Queues a notification; it shows as soon as the ones before it have
+     * gone.  A plain message already showing or waiting isn't queued
+     * again; one with actions always is, since its buttons act on
+     * something of its own (e.g. Undo for one particular conversation).
+     *
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.severity="info"]  A SEVERITY value.
+     * @param {{label: string, onClick: Function}[]} [options.actions]
+     *     Buttons after the message, e.g. Undo; clicking one dismisses the
+     *     notification.
+     * @param {number} [options.duration]  Overrides the severity's default.
+     * @returns {{dismiss: Function}}
+     */
+    function show(message, options = {}) {
+        const severity = options.severity || SEVERITY.INFO;
+        const actions = options.actions || [];
+        const duplicate =
+            !actions.length &&
+            [current, ...queue].find(
+                (note) =>
+                    note &&
+                    !note.leaving &&
+                    !note.actions.length &&
+                    note.message === message &&
+                    note.severity === severity,
+            );
+        if (duplicate) return { dismiss: () => dismiss(duplicate) };
+
+        const note = {
+            message,
+            severity,
+            actions,
+            duration: options.duration || DURATION_MS[severity],
+            timer: null,
+            el: null,
+            leaving: false,
+        };
+        queue.push(note);
+        if (queue.length > MAX_QUEUED) {
+            const plain = queue.findIndex((waiting) => !waiting.actions.length);
+            if (plain !== -1) queue.splice(plain, 1);
+        }
+        showNext();
+        return { dismiss: () => dismiss(note) };
+    }
+
+    SAB.notifications = {
+        SEVERITY,
+        show,
+        isOwn,
+    };
+})();
@@ -0,0 +1,337 @@
+/**
+ * Send & Archive — options.js
+ *
+ * Drives the options page: fills the form from chrome.storage.sync, records
+ * a new keyboard shortcut, and saves back through SAB.settings so the content
+ * script in every open Gmail tab picks the change up immediately.  Also
+ * edits the send rules and lists the keyboard commands Chrome has bound
+ * for us.  Settings are those for all accounts, or for one Gmail account
+ * picked at the top (see settings.js, Accounts).
+ */
+
+(function () {
+    "use strict";
+
+    const { message } = SAB.locales;
+
+    const form = document.getElementById("options-form");
+    const shortcutInput = form.elements.shortcut;
+    const statusEl = document.getElementById("status");
+
+    /**
+     * Numeric fields (number inputs and selects), in form order.  Bounds come
+     * from SAB.settings.LIMITS.
+     */
+    const NUMBER_FIELDS = Object.keys(SAB.settings.LIMITS);
+
+    /** Account whose settings the form shows; null for all accounts. */
+    let account = null;
+
+    /** Shortcut currently shown in the form (saved or freshly recorded). */
+    let pendingShortcut = SAB.settings.DEFAULTS.shortcut;
+
+    let statusTimer = null;
+
+    // ─── Form ↔ Settings ──────────────────────────────────────────────────────
+
+    function fillForm(settings) {
+        form.elements.enabled.checked = settings.enabled;
+        form.elements.useGmailApi.checked = settings.useGmailApi;
+        form.elements.buttonLabel.value = settings.buttonLabel;
+        form.elements.postSendAction.value = settings.postSendAction;
+        form.elements.afterArchive.value = settings.afterArchive;
+
+        pendingShortcut = settings.shortcut;
+        shortcutInput.value = SAB.settings.formatShortcut(pendingShortcut);
+        fillRules(settings.rules);
+
+        for (const key of NUMBER_FIELDS) {
+            const input = form.elements[key];
+            if (input.type === "number") {
+                [input.min, input.max] = SAB.settings.LIMITS[key];
+            }
+            input.value = settings[key];
+        }
+    }
+
+    function readForm() {
+        const values = {
+            enabled: form.elements.enabled.checked,
+            useGmailApi: form.elements.useGmailApi.checked,
+            buttonLabel: form.elements.buttonLabel.value,
+            postSendAction: form.elements.postSendAction.value,
+            afterArchive: form.elements.afterArchive.value,
+            shortcut: pendingShortcut,
+            rules: readRules(),
+        };
+        for (const key of NUMBER_FIELDS) {
+            values[key] = parseFloat(form.elements[key].value);
+        }
+        return values;
+    }
+
+    function showStatus(message) {
+        statusEl.textContent = message;
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => (statusEl.textContent = ""), 2500);
+    }
+
+    // ─── Shortcut Recorder ────────────────────────────────────────────────────
+
+    shortcutInput.addEventListener("keydown", (e) => {
+        // Let Tab move focus as usual so the form stays keyboard-navigable.
+        if (e.key === "Tab" && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+        e.preventDefault();
+
+        const recorded = SAB.settings.shortcutFromEvent(e);
+        if (!recorded) return; // modifier still held down
+
+        // normalizeShortcut hands back the frozen default for unusable input.
+        const normalized = SAB.settings.normalizeShortcut(recorded);
+        if (normalized === SAB.settings.DEFAULTS.shortcut) {
+            showStatus(message("optionsShortcutNeedsModifier"));
+            return;
+        }
+
+        pendingShortcut = normalized;
+        shortcutInput.value = SAB.settings.formatShortcut(pendingShortcut);
+
+        const conflict = SAB.settings.gmailShortcutConflict(normalized);
+        if (conflict) {
+            showStatus(
+                message("optionsShortcutConflict", [
+                    shortcutInput.value,
+                    conflict,
+                ]),
+            );
+        }
+    });
+
+    // ─── Keyboard Commands ────────────────────────────────────────────────────
+
+    const commandsList = document.getElementById("commands");
+
+    /** Lists our chrome.commands with their keys, flagging clashes with Gmail. */
+    async function showCommands() {
+        const commands = (await chrome.commands.getAll()).filter(
+            (command) => SAB.settings.COMMANDS[command.name],
+        );
+        commandsList.replaceChildren(
+            ...commands.map((command) => {
+                const item = document.createElement("li");
+                const conflict = SAB.settings.gmailShortcutConflict(
+                    SAB.settings.parseCommandShortcut(command.shortcut),
+                );
+                item.textContent = `${command.description}: ${
+                    command.shortcut || message("optionsCommandNotSet")
+                }`;
+                if (conflict) {
+                    item.classList.add("conflict");
+                    item.textContent += ` — ${message("optionsCommandConflict", conflict)}`;
+                }
+                return item;
+            }),
+        );
+    }
+
+    document.getElementById("open-shortcuts").addEventListener("click", () => {
+        chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+    });
+
+    // Keys are changed on Chrome's page; refresh when the user comes back.
+    window.addEventListener("focus", showCommands);
+
+    // ─── Rules ────────────────────────────────────────────────────────────────
+
+    const rulesList = document.getElementById("rules");
+    const ruleTemplate = document.getElementById("rule-template");
+    const addRuleButton = document.getElementById("add-rule");
+
+    const NEW_RULE = Object.freeze({
+        field: "recipientDomain",
+        pattern: "",
+        effect: "sendAndArchive",
+    });
+
+    function addRuleRow(rule = NEW_RULE) {
+        const row = ruleTemplate.content.firstElementChild.cloneNode(true);
+        row.querySelector(".rule-field").value = rule.field;
+        row.querySelector(".rule-pattern").value = rule.pattern;
+        row.querySelector(".rule-effect").value = rule.effect;
+        rulesList.appendChild(row);
+        validateRule(row);
+        addRuleButton.disabled =
+            rulesList.children.length >= SAB.settings.MAX_RULES;
+        return row;
+    }
+
+    function fillRules(rules) {
+        rulesList.replaceChildren();
+        rules.forEach((rule) => addRuleRow(rule));
+        addRuleButton.disabled = rules.length >= SAB.settings.MAX_RULES;
+    }
+
+    /** The rules as shown; blank ones are dropped when saving. */
+    function readRules() {
+        return [...rulesList.children].map((row) => ({
+            field: row.querySelector(".rule-field").value,
+            pattern: row.querySelector(".rule-pattern").value,
+            effect: row.querySelector(".rule-effect").value,
+        }));
+    }
+
+    /**
+     * Flags a subject pattern written as an invalid regular expression;
+     * returns false for one.
+     */
+    function validateRule(row) {
+        const input = row.querySelector(".rule-pattern");
+        const pattern = input.value.trim();
+        const invalid =
+            row.querySelector(".rule-field").value === "subject" &&
+            !!pattern &&
+            !SAB.settings.subjectRegExp(pattern);
+        input.setAttribute("aria-invalid", String(invalid));
+        return !invalid;
+    }
+
+    addRuleButton.addEventListener("click", () => {
+        addRuleRow().querySelector(".rule-pattern").focus();
+    });
+
+    rulesList.addEventListener("click", (e) => {
+        const row = e.target.closest(".rule");
+        if (!row) return;
+        if (e.target.closest(".rule-remove")) {
+            row.remove();
+            addRuleButton.disabled = false;
+        } else if (e.target.closest(".rule-up") && row.previousElementSibling) {
+            rulesList.insertBefore(row, row.previousElementSibling);
+            e.target.closest(".rule-up").focus();
+        }
+    });
+
+    rulesList.addEventListener("input", (e) => {
+        const row = e.target.closest(".rule");
+        if (row) validateRule(row);
+    });
+
+    // ─── Accounts ─────────────────────────────────────────────────────────────
+
+    const accountSelect = document.getElementById("account");
+    const ownSettingsInput = document.getElementById("own-settings");
+    const settingsFieldsets = form.querySelectorAll("fieldset[data-settings]");
+    const actionButtons = form.querySelectorAll(".actions button");
+
+    /** Stops onChange() calls for the account shown before. */
+    let stopWatching = () => {};
+
+    /** Lists the accounts Gmail tabs have reported, keeping the selection. */
+    async function fillAccounts() {
+        const known = await SAB.settings.accounts();
+        accountSelect.replaceChildren(
+            accountSelect.options[0],
+            ...known.map((address) => new Option(address, address)),
+        );
+        accountSelect.value = account || "";
+    }
+
+    /**
+     * Shows the settings `account` uses.  Those of an account without its
+     * own can't be edited here — they're the ones for all accounts.
+     */
+    async function showAccount() {
+        const own = !!account && (await SAB.settings.hasOwnSettings(account));
+        ownSettingsInput.disabled = !account;
+        ownSettingsInput.checked = own;
+        const locked = !!account && !own;
+        settingsFieldsets.forEach((fieldset) => (fieldset.disabled = locked));
+        actionButtons.forEach((button) => (button.disabled = locked));
+
+        stopWatching();
+        stopWatching = SAB.settings.onChange(fillForm, account);
+        fillForm(await SAB.settings.load(account));
+    }
+
+    // Gmail tabs opened meanwhile may have reported more accounts.
+    window.addEventListener("focus", fillAccounts);
+
+    accountSelect.addEventListener("change", () => {
+        account = accountSelect.value || null;
+        showAccount();
+    });
+
+    ownSettingsInput.addEventListener("change", async () => {
+        if (ownSettingsInput.checked) {
+            await SAB.settings.useOwnSettings(account);
+            showStatus(message("optionsStatusOwnSettings", account));
+        } else {
+            await SAB.settings.useSharedSettings(account);
+            showStatus(message("optionsStatusSharedSettings", account));
+        }
+        showAccount();
+    });
+
+    // ─── Gmail API Sign-in ────────────────────────────────────────────────────
+
+    // Ask for access as soon as the API backend is switched on, so the
+    // consent prompt appears here rather than never (the content script only
+    // ever requests tokens non-interactively).
+    form.elements.useGmailApi.addEventListener("change", (e) => {
+        if (!e.target.checked) return;
+        showStatus(message("optionsStatusSigningIn"));
+        chrome.runtime.sendMessage({ type: "sab:authorize" }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.ok) {
+                e.target.checked = false;
+                showStatus(
+                    message(
+                        "optionsStatusSignInFailed",
+                        chrome.runtime.lastError
+                            ? chrome.runtime.lastError.message
+                            : String(response && response.error),
+                    ),
+                );
+                return;
+            }
+            showStatus(message("optionsStatusSignedIn", response.email));
+        });
+    });
+
+    // ─── Events ───────────────────────────────────────────────────────────────
+
+    form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const invalid = [...rulesList.children].filter(
+            (row) => !validateRule(row),
+        );
+        if (invalid.length) {
+            showStatus(message("optionsStatusInvalidPattern"));
+            return;
+        }
+        const saved = await SAB.settings.save(readForm(), account);
+        fillForm(saved); // show clamped values, if any
+        showStatus(message("optionsStatusSaved"));
+    });
+
+    document.getElementById("reset").addEventListener("click", async () => {
+        fillForm(await SAB.settings.reset(account));
+        showStatus(message("optionsStatusReset"));
+    });
+
+    // The page's text follows the browser language (see _locales/), and so
+    // does the blank-label default.
+    SAB.locales.localizePage();
+    SAB.locales.localizePage(ruleTemplate.content);
+    for (const option of form.elements.undoWindowSec.options) {
+        if (option.value !== "0") {
+            option.textContent = message("optionsUndoSeconds", option.value);
+        }
+    }
+    form.elements.buttonLabel.placeholder =
+        chrome.i18n.getMessage("buttonLabel");
+
+    // showAccount() also keeps the page in sync when the popup changes
+    // something meanwhile.
+    fillAccounts().then(showAccount);
+    showCommands();
+})();
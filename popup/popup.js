@@ -0,0 +1,305 @@
+/**
+ * Send & Archive — popup.js
+ *
+ * Toolbar action popup: a quick on/off switch plus a shortcut reminder, with
+ * a link through to the full options page, the history of recent sends
+ * (see history.js) and the selector diagnostics report (see selectors.js)
+ * ready to paste into a bug report.  Settings and history are those of the
+ * Gmail account open in the active tab.
+ */
+
+(function () {
+    "use strict";
+
+    const { message } = SAB.locales;
+
+    const enabledInput = document.getElementById("enabled");
+    const shortcutEl = document.getElementById("shortcut");
+    const accountEl = document.getElementById("account");
+
+    /** The active tab's Gmail account (see settings.js), or null. */
+    let account = null;
+
+    function render(settings) {
+        enabledInput.checked = settings.enabled;
+        shortcutEl.textContent = SAB.settings.formatShortcut(settings.shortcut);
+    }
+
+    enabledInput.addEventListener("change", () => {
+        SAB.settings.save({ enabled: enabledInput.checked }, account);
+    });
+
+    document.getElementById("open-options").addEventListener("click", () => {
+        chrome.runtime.openOptionsPage();
+        window.close();
+    });
+
+    // ─── History ──────────────────────────────────────────────────────────────
+
+    const historyEl = document.getElementById("history");
+    const historyEmptyEl = document.getElementById("history-empty");
+    const historyStatusEl = document.getElementById("history-status");
+    const historyList = document.getElementById("history-list");
+    const clearHistoryBtn = document.getElementById("clear-history");
+
+    const { OUTCOME } = SAB.history;
+
+    /**
+     * How each outcome reads in the list (a _locales/ message); `problem`
+     * ones are highlighted.
+     */
+    const OUTCOME_TEXT = {
+        [OUTCOME.SENDING]: { text: "popupOutcomeSending" },
+        [OUTCOME.SENT]: { text: "popupOutcomeSent" },
+        [OUTCOME.DONE]: { text: "popupOutcomeDone" },
+        [OUTCOME.ACTION_FAILED]: {
+            text: "popupOutcomeActionFailed",
+            problem: true,
+        },
+        [OUTCOME.UNDONE]: { text: "popupOutcomeUndone" },
+        [OUTCOME.MOVED_TO_INBOX]: { text: "popupOutcomeMovedToInbox" },
+        blocked: { text: "popupOutcomeBlocked", problem: true },
+        failed: { text: "popupOutcomeFailed", problem: true },
+        discarded: { text: "popupOutcomeDiscarded" },
+        cancelled: { text: "popupOutcomeCancelled" },
+        timeout: { text: "popupOutcomeTimeout", problem: true },
+    };
+
+    const PATH_TEXT = {
+        native: "popupPathNative",
+        fallback: "popupPathFallback",
+    };
+
+    /**
+     * Asks the content script in the active tab to act on history entry
+     * `entryId` — only a Gmail tab can click Gmail's buttons.  The list
+     * updates itself once the entry's outcome changes.
+     */
+    function runHistoryAction(entryId, op) {
+        historyStatusEl.textContent = message("popupWorking");
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+            if (!tab) {
+                historyStatusEl.textContent = message("popupOpenGmail");
+                return;
+            }
+            chrome.tabs.sendMessage(
+                tab.id,
+                { type: "sab:historyAction", op, entryId },
+                (response) => {
+                    if (chrome.runtime.lastError || !response) {
+                        historyStatusEl.textContent = message("popupOpenGmail");
+                    } else if (!response.ok) {
+                        historyStatusEl.textContent = response.error;
+                    } else {
+                        historyStatusEl.textContent = message("popupSentToTab");
+                    }
+                },
+            );
+        });
+    }
+
+    function renderEntry(entry) {
+        const item = document.createElement("li");
+        item.className = "history-entry";
+
+        const subject = document.createElement("div");
+        subject.className = "history-subject";
+        subject.textContent = entry.subject || message("popupNoSubject");
+        subject.title = entry.threadId
+            ? `${subject.textContent}\n${message("popupThreadId", entry.threadId)}`
+            : subject.textContent;
+
+        const meta = document.createElement("div");
+        meta.className = "history-meta";
+        meta.textContent = [
+            new Date(entry.time).toLocaleString(undefined, {
+                dateStyle: "short",
+                timeStyle: "short",
+            }),
+            entry.label,
+            PATH_TEXT[entry.path] && message(PATH_TEXT[entry.path]),
+        ]
+            .filter(Boolean)
+            .join(" · ");
+
+        const known = OUTCOME_TEXT[entry.outcome];
+        const outcome = document.createElement("div");
+        outcome.className = "history-outcome";
+        outcome.classList.toggle("problem", !!(known && known.problem));
+        outcome.textContent = known ? message(known.text) : entry.outcome;
+
+        item.append(subject, meta, outcome);
+
+        const addButton = (text, op) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = text;
+            button.addEventListener("click", () =>
+                runHistoryAction(entry.id, op),
+            );
+            item.appendChild(button);
+        };
+        if (entry.thread && entry.outcome === OUTCOME.ACTION_FAILED) {
+            addButton(message("popupRetry"), "retry");
+        } else if (
+            entry.thread &&
+            entry.leavesInbox &&
+            entry.outcome === OUTCOME.DONE
+        ) {
+            addButton(message("popupMoveToInbox"), "moveToInbox");
+        }
+        return item;
+    }
+
+    function renderHistory(entries) {
+        const failures = entries.filter(
+            (entry) => (OUTCOME_TEXT[entry.outcome] || {}).problem,
+        ).length;
+        historyEl.querySelector("summary").textContent = failures
+            ? message("popupHistoryProblems", String(failures))
+            : message("popupHistory");
+        historyList.replaceChildren(...entries.map(renderEntry));
+        clearHistoryBtn.disabled = !entries.length;
+        historyEmptyEl.hidden = entries.length > 0;
+    }
+
+    clearHistoryBtn.addEventListener("click", () => SAB.history.clear(account));
+
+    // ─── Diagnostics ──────────────────────────────────────────────────────────
+
+    const diagnosticsEl = document.getElementById("diagnostics");
+    const sourceEl = document.getElementById("diagnostics-source");
+    const reportEl = document.getElementById("diagnostics-report");
+    const copyBtn = document.getElementById("copy-diagnostics");
+
+    const STATUS_MARKS = { ok: "✓", fallback: "!", missing: "✗", idle: "·" };
+
+    /**
+     * Plain-text report, laid out for pasting into an issue — and so left in
+     * English, for whoever reads the issue.
+     */
+    function formatReport(report) {
+        const yesNo = (value) => (value ? "yes" : "no");
+        const lines = [
+            "Send & Archive diagnostics",
+            `Extension ${report.extensionVersion}, selectors v${report.version}`,
+            `Gmail language: ${report.gmailLanguage}`,
+            `Checked: ${report.checkedAt}`,
+            `Compose open: ${yesNo(report.context.compose)}, ` +
+                `conversation open: ${yesNo(report.context.thread)}`,
+            `Browser: ${navigator.userAgent}`,
+            "",
+        ];
+        for (const entry of report.entries) {
+            lines.push(
+                `${STATUS_MARKS[entry.status]} ${entry.name}: ${entry.status} ` +
+                    `(${entry.counts.join(" / ")})`,
+            );
+        }
+        lines.push(
+            "",
+            "✓ ok  ! fallback in use  ✗ missing  · not expected right now",
+            "Numbers are matches per candidate selector, in order.",
+        );
+        return lines.join("\n");
+    }
+
+    function showReport(report, source) {
+        const problems = report.entries.filter(
+            (entry) =>
+                entry.status === "missing" || entry.status === "fallback",
+        ).length;
+        diagnosticsEl.querySelector("summary").textContent = problems
+            ? message("popupDiagnosticsProblems", String(problems))
+            : message("popupDiagnostics");
+        sourceEl.textContent = source;
+        reportEl.textContent = formatReport(report);
+        copyBtn.disabled = false;
+    }
+
+    /** Falls back to the last report any Gmail tab stored. */
+    async function showStoredReport() {
+        const { diagnostics } = await chrome.storage.local.get("diagnostics");
+        if (diagnostics) {
+            showReport(diagnostics, message("popupDiagnosticsStored"));
+        } else {
+            sourceEl.textContent = message("popupDiagnosticsNone");
+        }
+    }
+
+    /** Asks the active tab's content script for a fresh health check. */
+    function loadDiagnostics() {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+            if (!tab) {
+                showStoredReport();
+                return;
+            }
+            chrome.tabs.sendMessage(
+                tab.id,
+                { type: "sab:diagnostics" },
+                (report) => {
+                    // No content script there: not a Gmail tab.
+                    if (chrome.runtime.lastError || !report) {
+                        showStoredReport();
+                        return;
+                    }
+                    showReport(report, message("popupDiagnosticsLive"));
+                },
+            );
+        });
+    }
+
+    copyBtn.addEventListener("click", async () => {
+        await navigator.clipboard.writeText(reportEl.textContent);
+        copyBtn.textContent = message("popupCopied");
+        setTimeout(
+            () => (copyBtn.textContent = message("popupCopyReport")),
+            1500,
+        );
+    });
+
+    // ─── Account ──────────────────────────────────────────────────────────────
+
+    /**
+     * Asks the active tab's content script which Gmail account it shows;
+     * null for any other tab, or while Gmail hasn't said.
+     */
+    function loadAccount(onAccount) {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+            if (!tab) {
+                onAccount(null);
+                return;
+            }
+            chrome.tabs.sendMessage(
+                tab.id,
+                { type: "sab:account" },
+                (response) => {
+                    onAccount(
+                        chrome.runtime.lastError || !response
+                            ? null
+                            : response.account,
+                    );
+                },
+            );
+        });
+    }
+
+    SAB.locales.localizePage();
+    loadDiagnostics();
+
+    loadAccount(async (found) => {
+        account = found;
+        if (!account) {
+            accountEl.textContent = message("popupAccountAll");
+        } else if (await SAB.settings.hasOwnSettings(account)) {
+            accountEl.textContent = message("popupAccountOwn", account);
+        } else {
+            accountEl.textContent = message("popupAccountShared", account);
+        }
+
+        SAB.settings.onChange(render, account);
+        SAB.settings.load(account).then(render);
+        SAB.history.onChange(renderHistory, account);
+        SAB.history.load(account).then(renderHistory);
+    });
+})();
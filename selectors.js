@@ -0,0 +1,306 @@
+/**
+ * Send & Archive — selectors.js
+ *
+ * Every CSS selector content.js uses to find Gmail's UI, in one versioned
+ * registry.  Each entry lists candidates in order of preference: the first
+ * is what Gmail currently renders, later ones are fallbacks that have
+ * identified the same element in other Gmail builds or are simply less
+ * specific.  When Google changes its markup, this is the file to fix.
+ *
+ * The registry also powers the health check: check() reports which
+ * candidate of each entry matches right now, which content.js runs
+ * periodically and the toolbar popup shows as a copyable diagnostics report.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    /**
+     * Bump whenever an entry below changes, so bug reports show which set of
+     * selectors was in use.
+     */
+    const VERSION = 8;
+
+    /** Candidate matching elements whose `attr` starts with Gmail's label `key`. */
+    const labelled = (attr, key) => () =>
+        SAB.locales.labelSelector([attr], key);
+
+    /** Like labelled(), for entries whose label key is supplied by the caller. */
+    const labelledBy = (attr) => (key) =>
+        SAB.locales.labelSelector([attr], key);
+
+    /**
+     * The registry.  For each entry:
+     *
+     *  - `candidates`  CSS selectors in order of preference.  A function is
+     *                  called with the caller's argument (or `probe` during
+     *                  health checks) to build one — used for label-based
+     *                  selectors, which depend on Gmail's UI language.
+     *  - `when`        When the health check expects a match: "always" (any
+     *                  Gmail page), "compose" (a popup compose is open),
+     *                  "thread" (a conversation is open), or "transient" —
+     *                  menus, dialogs and notifications that only exist
+     *                  briefly and are never reported missing.
+     *
+     * Label-based matches are coarse prefix matches; content.js confirms
+     * candidates with SAB.locales.matchesLabel().
+     */
+    const REGISTRY = Object.freeze({
+        composeArea: {
+            description: "Fixed area at the bottom holding popup composes",
+            when: "compose",
+            candidates: [".dw"],
+        },
+        composeWindow: {
+            description: "One popup compose window inside the compose area",
+            when: "compose",
+            candidates: [".nH", '[role="dialog"]'],
+        },
+        subjectBox: {
+            description: "Subject field of a compose",
+            when: "compose",
+            candidates: ['input[name="subjectbox"]', 'input[name="subject"]'],
+        },
+        recipient: {
+            description: "Recipient of a compose (To, Cc or Bcc)",
+            // A compose may have no recipients yet.
+            when: "transient",
+            candidates: [
+                '[data-hovercard-id*="@"]',
+                "span[email]",
+                'input[name="to"], input[name="cc"], input[name="bcc"]',
+            ],
+        },
+        sendButton: {
+            description: "Send button of a compose",
+            when: "compose",
+            candidates: [
+                ".aoO",
+                labelled("aria-label", "send"),
+                labelled("data-tooltip", "send"),
+            ],
+        },
+        nativeSendAndArchive: {
+            description: "Gmail's own Send & Archive button (inline composes)",
+            when: "transient",
+            candidates: [
+                labelled("data-tooltip", "sendAndArchive"),
+                labelled("aria-label", "sendAndArchive"),
+            ],
+        },
+        sendOptionsButton: {
+            description: 'Arrow next to Send opening "Schedule send"',
+            when: "compose",
+            candidates: [
+                ".hG",
+                labelled("aria-label", "moreSendOptions"),
+                labelled("data-tooltip", "moreSendOptions"),
+            ],
+        },
+        threadHeading: {
+            description: "Subject heading carrying the open thread's id",
+            when: "thread",
+            candidates: [
+                "h2[data-legacy-thread-id]",
+                '[role="main"] [data-legacy-thread-id]',
+            ],
+        },
+        threadLabel: {
+            description: "Label chip beside the open conversation's subject",
+            // Not every conversation has labels.
+            when: "transient",
+            candidates: [".ha .at[title]", '[role="main"] .at[title]'],
+        },
+        listRow: {
+            description:
+                "Row of the conversation list (kept while one is open)",
+            // Absent when a conversation was opened straight from its URL.
+            when: "transient",
+            candidates: ["tr.zA", '[role="main"] tr[role="row"]'],
+        },
+        listRowThread: {
+            description: "Thread id tag inside a conversation list row",
+            when: "transient",
+            candidates: ["[data-legacy-thread-id]"],
+        },
+        threadTag: {
+            description: "Thread id tag inside a reply compose",
+            when: "transient",
+            candidates: ["[data-legacy-thread-id]"],
+        },
+        threadToolbar: {
+            description: "Toolbar above the open conversation",
+            when: "thread",
+            candidates: ['[gh="mtb"]', '[role="main"] [role="toolbar"]'],
+        },
+        toolbarButton: {
+            description: "Conversation toolbar button (checked with Archive)",
+            when: "thread",
+            probe: "archive",
+            candidates: [
+                labelledBy("data-tooltip"),
+                labelledBy("aria-label"),
+                labelledBy("title"),
+            ],
+        },
+        notificationBar: {
+            description: 'Notification bar ("Message sent", "Undo")',
+            when: "transient",
+            candidates: [".vh", '[role="alert"]'],
+        },
+        viewMessageLink: {
+            description: '"View message" link after sending a new message',
+            when: "transient",
+            candidates: [
+                "#link_vsm",
+                '.vh [role="link"], .vh a',
+                '[role="alert"] [role="link"], [role="alert"] a',
+            ],
+        },
+        alertDialog: {
+            description: "Dialog Gmail opens to stop a send",
+            when: "transient",
+            candidates: ['[role="alertdialog"]'],
+        },
+        dialog: {
+            description: "Any Gmail dialog (snooze or schedule date and time)",
+            when: "transient",
+            candidates: ['[role="dialog"]', '[role="alertdialog"]'],
+        },
+        menuItem: {
+            description:
+                "Item of an open Gmail menu (More, Move to, Snooze, …)",
+            when: "transient",
+            candidates: ['[role="menuitem"]', '[role="menuitemcheckbox"]'],
+        },
+        menuSearch: {
+            description: 'Search box of an open Gmail menu ("Move to")',
+            when: "transient",
+            candidates: [
+                '[role="menu"] input[type="text"]',
+                '[role="menu"] input:not([type])',
+            ],
+        },
+        labelLink: {
+            description: "Label links in the left navigation",
+            // Not every mailbox has labels of its own.
+            when: "transient",
+            candidates: [
+                '[role="navigation"] a[href*="#label/"]',
+                'a[href*="#label/"]',
+            ],
+        },
+        mainArea: {
+            description: "Main area, whose text colour reveals a dark theme",
+            when: "always",
+            candidates: ['[role="main"]', ".nH.bkK"],
+        },
+        accountButton: {
+            description: "Google Account button showing the e-mail address",
+            when: "always",
+            candidates: ['a[href*="accounts.google.com"][aria-label*="@"]'],
+        },
+    });
+
+    // ─── Lookup ───────────────────────────────────────────────────────────────
+
+    /**
+     * The CSS selectors of entry `name`, in order, with label-based ones
+     * built for `arg` in the current Gmail language.
+     */
+    function candidates(name, arg) {
+        const entry = REGISTRY[name];
+        if (!entry) throw new Error(`Unknown selector "${name}"`);
+        return entry.candidates.map((candidate) =>
+            typeof candidate === "function" ? candidate(arg) : candidate,
+        );
+    }
+
+    /**
+     * Every element under `root` matching any candidate of `name`, grouped
+     * in candidate order (so matches of the preferred selector come first)
+     * and without duplicates.
+     *
+     * @param {string}               name
+     * @param {Document|Element}     [root]
+     * @param {*}                    [arg]   For parameterised entries, e.g.
+     *                                       a label key for toolbarButton.
+     * @returns {Element[]}
+     */
+    function queryAll(name, root = document, arg) {
+        const found = new Set();
+        for (const selector of candidates(name, arg)) {
+            if (!selector) continue;
+            root.querySelectorAll(selector).forEach((el) => found.add(el));
+        }
+        return [...found];
+    }
+
+    /** First element queryAll() would return, or null. */
+    function query(name, root = document, arg) {
+        return queryAll(name, root, arg)[0] || null;
+    }
+
+    /**
+     * Nearest ancestor of `el` (or `el` itself) matching entry `name`,
+     * trying the candidates in order; null if none does.
+     */
+    function closest(name, el, arg) {
+        if (!el || !el.closest) return null;
+        for (const selector of candidates(name, arg)) {
+            const match = selector && el.closest(selector);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    // ─── Health Check ─────────────────────────────────────────────────────────
+
+    /**
+     * Reports how every entry fares on the current page.  Each result has
+     * the match count of each candidate and a `status`:
+     *
+     *  - "ok"        the preferred candidate matches
+     *  - "fallback"  only a later candidate matches — the preferred one
+     *                probably needs updating
+     *  - "missing"   nothing matches although the page should have one
+     *  - "idle"      nothing matches, and nothing is expected right now
+     *
+     * @param {{compose: boolean, thread: boolean}} context  What is open.
+     * @returns {{version: number, entries: object[]}}
+     */
+    function check(context) {
+        const entries = Object.entries(REGISTRY).map(([name, entry]) => {
+            const selectors = candidates(name, entry.probe);
+            const counts = selectors.map((selector) => {
+                try {
+                    return document.querySelectorAll(selector).length;
+                } catch (err) {
+                    return -1; // invalid selector — reported, never thrown
+                }
+            });
+            const first = counts.findIndex((count) => count > 0);
+            const expected = entry.when === "always" || !!context[entry.when];
+
+            let status = "idle";
+            if (first === 0) status = "ok";
+            else if (first > 0) status = "fallback";
+            else if (expected) status = "missing";
+
+            return { name, status, counts, selectors };
+        });
+        return { version: VERSION, entries };
+    }
+
+    SAB.selectors = {
+        VERSION,
+        REGISTRY,
+        candidates,
+        queryAll,
+        query,
+        closest,
+        check,
+    };
+})();
@@ -0,0 +1,692 @@
+/**
+ * Send & Archive — settings.js
+ *
+ * Shared settings store used by the content script, the options page and the
+ * toolbar popup.  Every value lives under its own key in chrome.storage.sync
+ * so it follows the user between Chrome profiles; anything missing or invalid
+ * falls back to DEFAULTS.  A Gmail account can have settings of its own
+ * instead (see Accounts).
+ *
+ * Loaded as a classic script everywhere (content script list, <script> tag),
+ * so it publishes itself on the shared `SAB` namespace instead of exporting.
+ */
+
+(function () {
+    "use strict";
+
+    const SAB = (globalThis.SAB = globalThis.SAB || {});
+
+    // ─── Defaults ─────────────────────────────────────────────────────────────
+
+    /**
+     * Post-send actions offered by the split button, in menu order.  Their
+     * behaviour is defined in content.js (POST_SEND_ACTIONS).
+     */
+    const POST_SEND_ACTIONS = Object.freeze([
+        "archive",
+        "delete",
+        "mute",
+        "markUnread",
+        "star",
+    ]);
+
+    /**
+     * Where to go once an action has taken the conversation on screen out
+     * of the inbox: wherever Gmail's Auto-advance setting says, back to the
+     * list, or the next older / newer conversation.  See content.js moveOn().
+     */
+    const AFTER_ARCHIVE = Object.freeze(["gmail", "list", "older", "newer"]);
+
+    /**
+     * Factory defaults.  These are the values content.js used to hardcode.
+     */
+    const DEFAULTS = Object.freeze({
+        /** Master switch — when false no buttons are injected or shown. */
+        enabled: true,
+
+        /** Custom Send & Archive button text (blank = the built-in label). */
+        buttonLabel: "",
+
+        /**
+         * Action run by the main button and the shortcut.  Picking another
+         * entry from the split-button menu makes it the new default.
+         */
+        postSendAction: "archive",
+
+        /** One of AFTER_ARCHIVE. */
+        afterArchive: "gmail",
+
+        /**
+         * Labels most recently picked for Send & Move to, newest first.  The
+         * label picker pins these at the top.
+         */
+        recentLabels: Object.freeze([]),
+
+        /**
+         * User-defined rules, checked in order when a compose is sent; the
+         * first that matches applies.  See normalizeRules() and findRule().
+         */
+        rules: Object.freeze([]),
+
+        /** Keyboard shortcut that triggers send + archive inside a compose. */
+        shortcut: Object.freeze({
+            key: "Enter",
+            ctrlKey: true,
+            shiftKey: true,
+            altKey: false,
+            metaKey: false,
+        }),
+
+        /**
+         * Archive (and star / mark unread) through the Gmail API by thread id
+         * instead of clicking Gmail's buttons.  Needs a one-time sign-in;
+         * the button-clicking path remains the fallback.
+         */
+        useGmailApi: false,
+
+        /** How long to wait for Gmail to confirm the send before giving up. */
+        sendTimeoutMs: 30000,
+
+        /**
+         * Gmail's Undo Send period in seconds (Settings → General → Undo
+         * Send).  Archiving waits this long so an Undo can still cancel it.
+         */
+        undoWindowSec: 5,
+
+        /** Minimum wait after the send is confirmed before looking for Archive. */
+        archiveDelayMs: 2000,
+
+        /** Extra attempts to find the Archive button after the first one. */
+        archiveRetries: 8,
+
+        /** Delay between Archive button attempts. */
+        archiveRetryMs: 300,
+
+        /** Extra attempts to find a compose's Send button after the first one. */
+        injectRetries: 6,
+
+        /** Delay between injection attempts. */
+        injectRetryMs: 300,
+    });
+
+    /**
+     * Inclusive [min, max] bounds for numeric settings.  Values outside the
+     * range are clamped rather than rejected so a typo can't disable the
+     * extension outright.
+     */
+    const LIMITS = Object.freeze({
+        sendTimeoutMs: [5000, 300000],
+        undoWindowSec: [0, 30],
+        archiveDelayMs: [0, 30000],
+        archiveRetries: [0, 50],
+        archiveRetryMs: [50, 5000],
+        injectRetries: [0, 50],
+        injectRetryMs: [50, 5000],
+    });
+
+    /**
+     * Commands declared in manifest.json, by the post-send action each one
+     * triggers.  Chrome lets the user bind them at
+     * chrome://extensions/shortcuts; background.js relays them to Gmail.
+     */
+    const COMMANDS = Object.freeze({
+        "send-and-archive": "archive",
+        "send-and-delete": "delete",
+        "send-and-mute": "mute",
+        "send-and-mark-unread": "markUnread",
+        "send-and-star": "star",
+    });
+
+    /**
+     * Gmail's own keyboard shortcuts that use a modifier, as formatShortcut()
+     * writes them — "Ctrl" is ⌘ on a Mac, as in Gmail's help — each with
+     * the _locales/ message describing it.  Single-key shortcuts can't
+     * clash: ours always need Ctrl, Alt or Meta.
+     */
+    const GMAIL_SHORTCUTS = Object.freeze({
+        "Ctrl+Enter": "gmailShortcutSend",
+        "Ctrl+Shift+C": "gmailShortcutAddCc",
+        "Ctrl+Shift+B": "gmailShortcutAddBcc",
+        "Ctrl+Shift+F": "gmailShortcutFrom",
+        "Ctrl+K": "gmailShortcutLink",
+        "Ctrl+M": "gmailShortcutSpelling",
+        "Ctrl+.": "gmailShortcutNextCompose",
+        "Ctrl+,": "gmailShortcutPreviousCompose",
+        "Ctrl+B": "gmailShortcutBold",
+        "Ctrl+I": "gmailShortcutItalics",
+        "Ctrl+U": "gmailShortcutUnderline",
+        "Ctrl+Shift+5": "gmailShortcutPreviousFont",
+        "Ctrl+Shift+6": "gmailShortcutNextFont",
+        "Ctrl+Shift+7": "gmailShortcutNumberedList",
+        "Ctrl+Shift+8": "gmailShortcutBulletedList",
+        "Ctrl+Shift+9": "gmailShortcutQuote",
+        "Ctrl+[": "gmailShortcutIndentLess",
+        "Ctrl+]": "gmailShortcutIndentMore",
+        "Ctrl+Shift+L": "gmailShortcutAlignLeft",
+        "Ctrl+Shift+E": "gmailShortcutAlignCenter",
+        "Ctrl+Shift+R": "gmailShortcutAlignRight",
+        "Ctrl+\\": "gmailShortcutRemoveFormatting",
+    });
+
+    /** Gmail (and Chrome) write ⌘ where other systems have Ctrl. */
+    const IS_MAC = /Mac/.test(navigator.platform || navigator.userAgent);
+
+    /**
+     * What a rule looks at: a recipient's domain (subdomains match too),
+     * one of the conversation's labels (sublabels match too), or the
+     * subject.
+     */
+    const RULE_FIELDS = Object.freeze(["recipientDomain", "label", "subject"]);
+
+    /**
+     * What a matching rule does: make plain Send (and Ctrl+Enter) send and
+     * archive, or hide or disable the Send & Archive button.
+     */
+    const RULE_EFFECTS = Object.freeze(["sendAndArchive", "hide", "disable"]);
+
+    /** Rules beyond this many are dropped — sync storage items are small. */
+    const MAX_RULES = 25;
+
+    /** Longest pattern a rule may have. */
+    const MAX_RULE_PATTERN = 100;
+
+    /** How many recently used labels to remember. */
+    const MAX_RECENT_LABELS = 5;
+
+    /** Keys that only carry a modifier and can never be a shortcut on their own. */
+    const MODIFIER_KEYS = new Set(["Control", "Shift", "Alt", "Meta"]);
+
+    // ─── Normalization ────────────────────────────────────────────────────────
+
+    function clampNumber(value, [min, max], fallback) {
+        const n = Number(value);
+        if (!Number.isFinite(n)) return fallback;
+        return Math.min(max, Math.max(min, Math.round(n)));
+    }
+
+    /**
+     * Returns a well-formed shortcut object, or the default when `raw` can't
+     * be used (no key, modifier-only, or no modifier at all — a bare Enter
+     * would hijack typing in the message body).
+     */
+    function normalizeShortcut(raw) {
+        if (!raw || typeof raw.key !== "string" || !raw.key) {
+            return DEFAULTS.shortcut;
+        }
+        if (MODIFIER_KEYS.has(raw.key)) return DEFAULTS.shortcut;
+
+        const shortcut = {
+            key: raw.key,
+            ctrlKey: !!raw.ctrlKey,
+            shiftKey: !!raw.shiftKey,
+            altKey: !!raw.altKey,
+            metaKey: !!raw.metaKey,
+        };
+        if (!shortcut.ctrlKey && !shortcut.altKey && !shortcut.metaKey) {
+            return DEFAULTS.shortcut;
+        }
+        return shortcut;
+    }
+
+    /**
+     * Returns up to MAX_RECENT_LABELS distinct, non-blank label names from
+     * `raw`, keeping their order.
+     */
+    function normalizeRecentLabels(raw) {
+        if (!Array.isArray(raw)) return DEFAULTS.recentLabels;
+        const names = raw
+            .filter((name) => typeof name === "string")
+            .map((name) => name.trim())
+            .filter(Boolean);
+        return [...new Set(names)].slice(0, MAX_RECENT_LABELS);
+    }
+
+    /**
+     * Returns the well-formed rules of `raw`, in order: a known `field` and
+     * `effect` and a non-blank `pattern`.
+     */
+    function normalizeRules(raw) {
+        if (!Array.isArray(raw)) return DEFAULTS.rules;
+        return raw
+            .filter(
+                (rule) =>
+                    rule &&
+                    RULE_FIELDS.includes(rule.field) &&
+                    RULE_EFFECTS.includes(rule.effect) &&
+                    typeof rule.pattern === "string",
+            )
+            .map(({ field, pattern, effect }) => ({
+                field,
+                pattern: pattern.trim().slice(0, MAX_RULE_PATTERN),
+                effect,
+            }))
+            .filter((rule) => rule.pattern)
+            .slice(0, MAX_RULES);
+    }
+
+    /**
+     * Coerces a raw storage object into a complete, valid settings object.
+     */
+    function normalize(raw = {}) {
+        const settings = { ...DEFAULTS, ...raw };
+
+        settings.enabled = settings.enabled !== false;
+        settings.useGmailApi = settings.useGmailApi === true;
+        settings.buttonLabel =
+            typeof settings.buttonLabel === "string"
+                ? settings.buttonLabel.trim().slice(0, 40)
+                : DEFAULTS.buttonLabel;
+        settings.shortcut = normalizeShortcut(settings.shortcut);
+        if (!POST_SEND_ACTIONS.includes(settings.postSendAction)) {
+            settings.postSendAction = DEFAULTS.postSendAction;
+        }
+        if (!AFTER_ARCHIVE.includes(settings.afterArchive)) {
+            settings.afterArchive = DEFAULTS.afterArchive;
+        }
+        settings.recentLabels = normalizeRecentLabels(settings.recentLabels);
+        settings.rules = normalizeRules(settings.rules);
+
+        for (const [key, range] of Object.entries(LIMITS)) {
+            settings[key] = clampNumber(settings[key], range, DEFAULTS[key]);
+        }
+
+        return settings;
+    }
+
+    // ─── Accounts ─────────────────────────────────────────────────────────────
+
+    /**
+     * Several Gmail accounts can be open side by side (/mail/u/0/,
+     * /mail/u/1/, …).  Each may have settings of its own, stored as one
+     * object under `account:<address>` beside the shared keys; an account
+     * without one uses the shared settings.  Accounts are told apart by
+     * e-mail address rather than by the number in the URL, which shifts
+     * whenever the user signs in or out of another account.
+     *
+     * `ACCOUNTS_KEY` lists the addresses seen in Gmail, most recent first.
+     */
+    const ACCOUNTS_KEY = "accounts";
+
+    /** Addresses remembered beyond this many drop the oldest. */
+    const MAX_ACCOUNTS = 10;
+
+    const accountKey = (account) => `account:${account}`;
+
+    /** Lower-cased `account`, or null for anything but an e-mail address. */
+    function normalizeAccount(account) {
+        if (typeof account !== "string") return null;
+        const address = account.trim().toLowerCase();
+        return /^[^\s@]+@[^\s@]+$/.test(address) ? address : null;
+    }
+
+    /** The settings stored for `account` alone, or null if it has none. */
+    async function loadOwn(account) {
+        account = normalizeAccount(account);
+        if (!account) return null;
+        const key = accountKey(account);
+        const { [key]: own } = await chrome.storage.sync.get(key);
+        return own && typeof own === "object" ? own : null;
+    }
+
+    /**
+     * True when `account` has settings of its own.
+     *
+     * @param {string} account
+     * @returns {Promise<boolean>}
+     */
+    async function hasOwnSettings(account) {
+        return !!(await loadOwn(account));
+    }
+
+    /**
+     * Gives `account` settings of its own, starting from the shared ones.
+     *
+     * @param {string} account
+     * @returns {Promise<object>} The account's settings.
+     */
+    async function useOwnSettings(account) {
+        account = normalizeAccount(account);
+        if (!account) throw new Error("Not an e-mail address");
+        const settings = await load(account);
+        await chrome.storage.sync.set({ [accountKey(account)]: settings });
+        return settings;
+    }
+
+    /**
+     * Drops `account`'s own settings so the shared ones apply to it again.
+     *
+     * @param {string} account
+     * @returns {Promise<object>} The shared settings.
+     */
+    async function useSharedSettings(account) {
+        account = normalizeAccount(account);
+        if (account) await chrome.storage.sync.remove(accountKey(account));
+        return load();
+    }
+
+    /**
+     * Every address the content script has seen, most recent first.
+     *
+     * @returns {Promise<string[]>}
+     */
+    async function accounts() {
+        const { [ACCOUNTS_KEY]: list } =
+            await chrome.storage.sync.get(ACCOUNTS_KEY);
+        return Array.isArray(list) ? list.filter(normalizeAccount) : [];
+    }
+
+    /**
+     * Adds `account` to the list the options page offers.  Called by the
+     * content script once it knows which account a Gmail tab shows.
+     *
+     * @param {string} account
+     */
+    async function rememberAccount(account) {
+        account = normalizeAccount(account);
+        if (!account) return;
+        const known = await accounts();
+        if (known[0] === account) return; // spare the sync write quota
+        await chrome.storage.sync.set({
+            [ACCOUNTS_KEY]: [
+                account,
+                ...known.filter((other) => other !== account),
+            ].slice(0, MAX_ACCOUNTS),
+        });
+    }
+
+    // ─── Storage ──────────────────────────────────────────────────────────────
+
+    /**
+     * Reads the full settings object from chrome.storage.sync: `account`'s
+     * own settings if it has any, otherwise the shared ones.
+     *
+     * @param {string} [account]  E-mail address of a Gmail account.
+     * @returns {Promise<object>}
+     */
+    async function load(account) {
+        const raw = await chrome.storage.sync.get(DEFAULTS);
+        return normalize({ ...raw, ...(await loadOwn(account)) });
+    }
+
+    /**
+     * Persists a subset of settings — to `account`'s own settings when it
+     * has them, otherwise to the shared ones.  Unknown keys are ignored;
+     * the stored values are normalized first so every reader sees the same
+     * thing.
+     *
+     * @param {object} partial
+     * @param {string} [account]
+     * @returns {Promise<object>} The complete settings after the write.
+     */
+    async function save(partial, account) {
+        const own = await loadOwn(account);
+        const current = await load(account);
+        const next = normalize({ ...current, ...partial });
+        const toStore = {};
+        for (const key of Object.keys(partial)) {
+            if (key in DEFAULTS) toStore[key] = next[key];
+        }
+        if (own) {
+            await chrome.storage.sync.set({
+                [accountKey(normalizeAccount(account))]: {
+                    ...own,
+                    ...toStore,
+                },
+            });
+        } else {
+            await chrome.storage.sync.set(toStore);
+        }
+        return next;
+    }
+
+    /**
+     * Restores DEFAULTS: for `account`'s own settings when it has them,
+     * otherwise by removing every shared value.
+     *
+     * @param {string} [account]
+     * @returns {Promise<object>}
+     */
+    async function reset(account) {
+        if (await hasOwnSettings(account)) {
+            await chrome.storage.sync.set({
+                [accountKey(normalizeAccount(account))]: normalize(),
+            });
+        } else {
+            await chrome.storage.sync.remove(Object.keys(DEFAULTS));
+        }
+        return normalize();
+    }
+
+    /**
+     * Calls `callback(settings)` with the freshly loaded settings for
+     * `account` (see load()) whenever any of them change in sync storage
+     * (from this or any other context).
+     *
+     * @param {Function} callback
+     * @param {string}   [account]
+     * @returns {Function} Stops the calls.
+     */
+    function onChange(callback, account) {
+        const own = normalizeAccount(account);
+        const listener = (changes, area) => {
+            if (area !== "sync") return;
+            const relevant = Object.keys(changes).some(
+                (key) => key in DEFAULTS || (own && key === accountKey(own)),
+            );
+            if (relevant) load(account).then(callback);
+        };
+        chrome.storage.onChanged.addListener(listener);
+        return () => chrome.storage.onChanged.removeListener(listener);
+    }
+
+    // ─── Shortcut Helpers ─────────────────────────────────────────────────────
+
+    /**
+     * Human-readable form of a shortcut, e.g. "Ctrl+Shift+Enter".
+     */
+    function formatShortcut(shortcut) {
+        const parts = [];
+        if (shortcut.ctrlKey) parts.push("Ctrl");
+        if (shortcut.altKey) parts.push("Alt");
+        if (shortcut.shiftKey) parts.push("Shift");
+        if (shortcut.metaKey) parts.push("Meta");
+        const key = shortcut.key === " " ? "Space" : shortcut.key;
+        parts.push(key.length === 1 ? key.toUpperCase() : key);
+        return parts.join("+");
+    }
+
+    /**
+     * True when the keyboard event `e` is exactly `shortcut` (every modifier
+     * must match, so Ctrl+Enter never triggers a Ctrl+Shift+Enter binding).
+     */
+    function matchesShortcut(e, shortcut) {
+        return (
+            e.key.toLowerCase() === shortcut.key.toLowerCase() &&
+            e.ctrlKey === shortcut.ctrlKey &&
+            e.shiftKey === shortcut.shiftKey &&
+            e.altKey === shortcut.altKey &&
+            e.metaKey === shortcut.metaKey
+        );
+    }
+
+    /**
+     * Builds a shortcut object from a keydown event, or returns null when the
+     * event is only a modifier press (the user is still holding keys down).
+     */
+    function shortcutFromEvent(e) {
+        if (MODIFIER_KEYS.has(e.key)) return null;
+        return {
+            key: e.key,
+            ctrlKey: e.ctrlKey,
+            shiftKey: e.shiftKey,
+            altKey: e.altKey,
+            metaKey: e.metaKey,
+        };
+    }
+
+    /** chrome.commands key names that differ from KeyboardEvent.key. */
+    const COMMAND_KEYS = {
+        Comma: ",",
+        Period: ".",
+        Space: " ",
+        Up: "ArrowUp",
+        Down: "ArrowDown",
+        Left: "ArrowLeft",
+        Right: "ArrowRight",
+    };
+
+    /** Modifier symbols in the shortcuts Chrome reports on macOS ("⇧⌘Y"). */
+    const MAC_MODIFIERS = {
+        "⌃": "ctrlKey",
+        "⌥": "altKey",
+        "⇧": "shiftKey",
+        "⌘": "metaKey",
+    };
+
+    /**
+     * Turns a command's shortcut as chrome.commands.getAll() reports it
+     * ("Ctrl+Shift+Y", or "⇧⌘Y" on a Mac) into a shortcut object.  Returns
+     * null for an unbound command (empty string).
+     */
+    function parseCommandShortcut(text) {
+        if (!text) return null;
+        const shortcut = {
+            key: "",
+            ctrlKey: false,
+            shiftKey: false,
+            altKey: false,
+            metaKey: false,
+        };
+
+        let key = text;
+        if (text.includes("+")) {
+            const parts = text.split("+");
+            key = parts.pop();
+            for (const part of parts) {
+                if (part === "Ctrl" || part === "MacCtrl") {
+                    shortcut.ctrlKey = true;
+                } else if (part === "Alt") shortcut.altKey = true;
+                else if (part === "Shift") shortcut.shiftKey = true;
+                else if (part === "Command") shortcut.metaKey = true;
+            }
+        } else {
+            while (key && MAC_MODIFIERS[key[0]]) {
+                shortcut[MAC_MODIFIERS[key[0]]] = true;
+                key = key.slice(1);
+            }
+        }
+        shortcut.key = COMMAND_KEYS[key] || key;
+        return shortcut;
+    }
+
+    /**
+     * What Gmail does with `shortcut` itself (e.g. "Bold"), in the browser's
+     * language, or null if it isn't one of Gmail's keyboard shortcuts.
+     */
+    function gmailShortcutConflict(shortcut) {
+        const name = gmailShortcutName(shortcut);
+        return name ? chrome.i18n.getMessage(name) || name : null;
+    }
+
+    /** The GMAIL_SHORTCUTS message name for `shortcut`, or null. */
+    function gmailShortcutName(shortcut) {
+        if (!shortcut) return null;
+        if (!IS_MAC) return GMAIL_SHORTCUTS[formatShortcut(shortcut)] || null;
+
+        // GMAIL_SHORTCUTS says Ctrl where a Mac has ⌘; the Mac's own Control
+        // key isn't part of any Gmail shortcut.
+        if (shortcut.ctrlKey) return null;
+        const asListed = {
+            ...shortcut,
+            ctrlKey: shortcut.metaKey,
+            metaKey: false,
+        };
+        return GMAIL_SHORTCUTS[formatShortcut(asListed)] || null;
+    }
+
+    // ─── Rules ────────────────────────────────────────────────────────────────
+
+    /** A subject pattern written as a regular expression, "/…/flags". */
+    const REGEXP_PATTERN = /^\/(.+)\/([dimsu]*)$/;
+
+    /**
+     * The regular expression a subject pattern stands for: the pattern
+     * itself when written as /…/flags, otherwise its text anywhere in the
+     * subject, ignoring case.  Null when it isn't a valid expression.
+     */
+    function subjectRegExp(pattern) {
+        const literal = pattern.match(REGEXP_PATTERN);
+        try {
+            return literal
+                ? new RegExp(literal[1], literal[2])
+                : new RegExp(
+                      pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+                      "i",
+                  );
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function ruleMatches({ field, pattern }, message) {
+        const wanted = pattern.toLowerCase();
+        if (field === "recipientDomain") {
+            const domain = wanted.replace(/^@/, "");
+            return message.recipients.some((address) => {
+                const host = address.toLowerCase().split("@").pop();
+                return host === domain || host.endsWith(`.${domain}`);
+            });
+        }
+        if (field === "label") {
+            return message.labels.some((label) => {
+                const name = label.toLowerCase();
+                return name === wanted || name.startsWith(`${wanted}/`);
+            });
+        }
+        const regex = subjectRegExp(pattern);
+        return !!regex && regex.test(message.subject);
+    }
+
+    /**
+     * The first of `rules` matching a message, or null.  `message` is what
+     * the compose holds when it is checked: `recipients` (addresses),
+     * `labels` (of the conversation replied to) and `subject`.
+     *
+     * @param {object[]} rules
+     * @param {{recipients: string[], labels: string[], subject: string}} message
+     * @returns {object|null}
+     */
+    function findRule(rules, message) {
+        return rules.find((rule) => ruleMatches(rule, message)) || null;
+    }
+
+    SAB.settings = {
+        DEFAULTS,
+        LIMITS,
+        POST_SEND_ACTIONS,
+        AFTER_ARCHIVE,
+        COMMANDS,
+        RULE_FIELDS,
+        RULE_EFFECTS,
+        MAX_RULES,
+        normalize,
+        normalizeShortcut,
+        normalizeAccount,
+        load,
+        save,
+        reset,
+        onChange,
+        accounts,
+        rememberAccount,
+        hasOwnSettings,
+        useOwnSettings,
+        useSharedSettings,
+        formatShortcut,
+        matchesShortcut,
+        shortcutFromEvent,
+        parseCommandShortcut,
+        gmailShortcutConflict,
+        subjectRegExp,
+        findRule,
+    };
+})();